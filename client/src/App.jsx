@@ -1,19 +1,223 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import { Routes, Route, NavLink } from 'react-router';
 import DotGrid from './components/DotGrid';
 import ChromaGrid from './components/ChromaGrid';
+import LoginPanel from './components/LoginPanel';
+import ConnectionStatus from './components/ConnectionStatus';
+import AuctionToolbar from './components/AuctionToolbar';
+import AuctionDetailPage from './pages/AuctionDetailPage';
+import MyAuctionsPage from './pages/MyAuctionsPage';
+import { serverNow, seedClockOffset, syncClock } from './serverClock';
+import { formatMoney, toMinorUnits } from './money';
 import './index.css';
 
 // Load the URL strictly from the environment variable
 const SOCKET_URL = import.meta.env.VITE_SERVER_URL;
 
+// Session ({ token, user }) survives reloads via localStorage
+const SESSION_KEY = 'liveBidding.session';
+
+// How long to wait for the server to acknowledge a bid before resending it
+const BID_ACK_TIMEOUT_MS = 8000;
+const MAX_BID_ATTEMPTS = 3;
+
+// How often to re-measure the offset from the server's clock while connected
+const CLOCK_SYNC_INTERVAL_MS = 30000;
+
+// The server's fake payment provider approves this card token; a real
+// provider's checkout widget would supply one instead
+const DEMO_PAYMENT_TOKEN = 'tok_visa';
+
+// Friendly copy for the server's machine-readable bid error codes
+const BID_ERROR_MESSAGES = {
+  INVALID_REQUEST: () => 'That bid could not be read - please check the amount and try again.',
+  UNAUTHENTICATED: () => 'Please log in to place bids.',
+  ITEM_NOT_FOUND: () => 'This lot is no longer available.',
+  AUCTION_NOT_STARTED: () => "This auction hasn't opened for bidding yet.",
+  AUCTION_CLOSED: () => 'Sorry, this auction has already closed.',
+  SELF_OUTBID: () => "You're already the highest bidder on this lot.",
+  BID_TOO_LOW: (data, currency) => `Someone got there first - the minimum bid is now ${formatMoney(data.minimumBid, currency)}.`,
+  MAX_BELOW_BID: () => 'Your max bid must be at least your bid amount.',
+  CONFLICT: () => 'The auction changed while your bid was processed - please try again.',
+  BID_PENDING: () => 'Your bid is still being processed...',
+  IDEMPOTENCY_KEY_REUSED: () => 'That bid could not be retried - please place it again.',
+  BUY_NOW_UNAVAILABLE: () => 'Buy It Now is no longer available on this lot.',
+  UNAVAILABLE: () => 'The auction is busy right now - please try again.',
+  INTERNAL: () => 'Something went wrong on our side - please try again.',
+};
+
+// Lots per page of the filtered listing
+const LISTING_PAGE_SIZE = 12;
+
+const DEFAULT_FILTERS = { q: '', category: '', status: '', currency: '', minPrice: '', maxPrice: '', sort: 'default', page: 1 };
+
+// Price filters are typed in major units of the chosen currency; the server
+// compares minor units, and only within that currency
+const PRICE_FILTERS = ['minPrice', 'maxPrice'];
+
+function listingQuery(filters) {
+  const params = new URLSearchParams({ limit: LISTING_PAGE_SIZE });
+  Object.entries(filters).forEach(([key, value]) => {
+    const text = String(value).trim();
+    if (!text || (key === 'sort' && text === 'default')) return;
+    if (PRICE_FILTERS.includes(key)) {
+      if (filters.currency) params.set(key, String(Math.round(toMinorUnits(text, filters.currency))));
+      return;
+    }
+    params.set(key, text);
+  });
+  return params.toString();
+}
+
+function describeBidError(data, currency) {
+  const format = BID_ERROR_MESSAGES[data.code];
+  return format ? format(data, currency) : data.error;
+}
+
+/**
+ * Applies an item update unless we already hold a newer version of it
+ * (events can arrive out of order around a reconnect).
+ */
+function mergeItem(items, incoming) {
+  const existing = items.find(item => item.id === incoming.id);
+  if (!existing) return [...items, incoming];
+  if (existing.version > incoming.version) return items;
+  return items.map(item => item.id === incoming.id ? incoming : item);
+}
+
+/**
+ * Follows lots in full. The ack carries their current state with recent
+ * bids, which only bidUpdate delivers.
+ */
+function subscribeToItems(socket, itemIds, onItems) {
+  if (itemIds.length === 0) return;
+  socket.emit('subscribe', itemIds, (reply) => {
+    if (reply.success) onItems(reply.items);
+  });
+}
+
+/**
+ * Unique id for one bid attempt. Resends reuse it, so the server places the
+ * bid at most once however many copies arrive.
+ */
+function newIdempotencyKey() {
+  // randomUUID needs a secure context (https or localhost)
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Shows a system notification while the tab is in the background, where an
+ * in-page toast would go unseen. Needs permission, asked for on first watch.
+ */
+function notifyInBackground(title, body) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted' || !document.hidden) {
+    return;
+  }
+  new Notification(title, { body });
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
 function App() {
   const [auctions, setAuctions] = useState([]);
   const [bidAmounts, setBidAmounts] = useState({});
-  const [bidderName, setBidderName] = useState('');
+  const [session, setSession] = useState(loadSession);
+  // Lots the logged-in user has bid on, as tracked by the server
+  const [participatingItemIds, setParticipatingItemIds] = useState([]);
+  // Lots on the logged-in user's watchlist, kept in sync by the server
+  const [watchedItemIds, setWatchedItemIds] = useState([]);
+  // Orders for lots the logged-in user won, newest first
+  const [orders, setOrders] = useState([]);
   const [notification, setNotification] = useState({ message: '', type: '' });
+  // Rate-limit cooldown: bidding is paused until this timestamp (ms)
+  const [bidCooldownUntil, setBidCooldownUntil] = useState(0);
+  // Lots with a bid sent but not yet acknowledged by the server
+  const [pendingBidItemIds, setPendingBidItemIds] = useState([]);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [transport, setTransport] = useState('');
+  // Round trip of the clock sample in use, shown next to the connection status
+  const [roundTripMs, setRoundTripMs] = useState(null);
+  // Search / filter / sort state and the server's matching page of lots
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [listing, setListing] = useState(null);
+  const [listingError, setListingError] = useState('');
+  // Bumped when lots appear or disappear, so the listing is queried again
+  const [listingRevision, setListingRevision] = useState(0);
   const socketRef = useRef(null);
+  // Latest auctions for the resume handshake, read outside of render
+  const auctionsRef = useRef([]);
+  // Lots on screen, followed in full (bidUpdate); the rest get bidSummary only
+  const subscribedIdsRef = useRef([]);
+  const authToken = session?.token;
+
+  // A different session sees different personal state, so start over. This
+  // happens while rendering, so nothing renders with the last session's state
+  const [stateToken, setStateToken] = useState(authToken);
+  if (stateToken !== authToken) {
+    setStateToken(authToken);
+    setAuctions([]);
+    setBidAmounts({});
+    setParticipatingItemIds([]);
+    setWatchedItemIds([]);
+    setOrders([]);
+    setConnectionStatus('connecting');
+  }
+
+  useEffect(() => {
+    auctionsRef.current = auctions;
+  }, [auctions]);
+
+  // The server filters, sorts and pages; live socket state keeps prices fresh
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(`${SOCKET_URL}/api/auctions?${listingQuery(filters)}`, { signal: controller.signal })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          setListingError(data.error || 'Could not load auctions');
+          return;
+        }
+        setListing(data);
+        setListingError('');
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setListingError('Could not reach the server');
+      });
 
+    return () => controller.abort();
+  }, [filters, listingRevision]);
+
+  // Orders load once per session; `order` socket events keep them current
+  useEffect(() => {
+    if (!authToken) return;
+
+    const controller = new AbortController();
+
+    fetch(`${SOCKET_URL}/api/me/orders`, { headers: { Authorization: `Bearer ${authToken}` }, signal: controller.signal })
+      .then(async (response) => {
+        if (response.ok) setOrders((await response.json()).orders);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('[ORDERS] Could not load orders:', err);
+      });
+
+    return () => controller.abort();
+  }, [authToken]);
+
+  const showNotification = useCallback((message, type) => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 3000);
+  }, []);
+
+  // Reconnects whenever the session changes so the handshake carries the new token
   useEffect(() => {
     // AGGRESSIVE CLEAR: Force disconnect any existing connection first
     if (socketRef.current) {
@@ -21,109 +225,422 @@ function App() {
       socketRef.current = null;
     }
 
-    // Clear ALL state immediately before connecting
-    setAuctions([]);
-    setBidAmounts({});
-    setBidderName('');
-
     // Wait a moment then connect fresh
     const connectTimer = setTimeout(() => {
-      // Connect to Socket.io server with cache busting
       socketRef.current = io(SOCKET_URL, {
         reconnection: true,
         reconnectionDelay: 500,
-        reconnectionAttempts: 10,
+        reconnectionAttempts: Infinity, // Flaky mobile links: keep trying
         forceNew: true, // Force new connection, don't reuse
-        transports: ['websocket'], // Skip polling, use websocket only
+        // Prefer websocket, fall back to long-polling where websockets are blocked
+        transports: ['websocket', 'polling'],
+        tryAllTransports: true,
+        // Called on every (re)connect: a client that already holds state sends
+        // the version of each lot it has seen, and the server replays only
+        // what changed (resync) instead of the full initialState
+        auth: (cb) => {
+          const lastSeen = Object.fromEntries(auctionsRef.current.map(item => [item.id, item.version]));
+          cb({
+            ...(authToken ? { token: authToken } : {}),
+            ...(auctionsRef.current.length > 0 ? { lastSeen } : {}),
+          });
+        },
+      });
+
+      // A rejected handshake means the stored session expired or is invalid
+      socketRef.current.on('connect_error', (err) => {
+        if (err.message === 'Unauthorized') {
+          localStorage.removeItem(SESSION_KEY);
+          setSession(null);
+        } else if (err.message === 'Too many connections') {
+          showNotification('Too many open connections - close some tabs and reload', 'error');
+        }
+        setConnectionStatus(socketRef.current?.active ? 'reconnecting' : 'offline');
       });
 
-      // Handle connection/reconnection - clear ALL state on connect
+      // Keep what we have on (re)connect; initialState or resync brings it up to date
       socketRef.current.on('connect', () => {
-        console.log('[WEBSOCKET] Connected to server - clearing old state');
-        // Force clear all state on every connection
-        setAuctions([]);
-        setBidAmounts({});
+        console.log('[WEBSOCKET] Connected to server');
+        setConnectionStatus('online');
+        const { engine } = socketRef.current.io;
+        setTransport(engine.transport.name);
+        engine.once('upgrade', (upgraded) => setTransport(upgraded.name));
+        syncClock(socketRef.current, (sample) => setRoundTripMs(Math.round(sample.roundTripMs)));
+        // Rooms don't survive a reconnect, so follow the on-screen lots again
+        subscribeToItems(socketRef.current, subscribedIdsRef.current, (items) => {
+          setAuctions(prev => items.reduce(mergeItem, prev));
+        });
       });
 
       // Listen for initial state
       socketRef.current.on('initialState', (data) => {
         console.log('[DATA] Received fresh data from server:', data.items);
+        seedClockOffset(data.serverTime);
         setAuctions(data.items);
         // Reset bid amounts to prevent persistence across server restarts
         const initialBids = {};
         data.items.forEach(item => {
-          initialBids[item.id] = item.currentBid + 10;
+          initialBids[item.id] = item.minimumBid;
         });
         setBidAmounts(initialBids);
         console.log('[STATE] State updated with fresh data');
       });
 
-      // Listen for bid updates
-      socketRef.current.on('bidUpdate', (updatedItem) => {
-        console.log('[BID] Bid update received:', updatedItem);
-        setAuctions(prev => prev.map(item =>
-          item.id === updatedItem.id ? updatedItem : item
-        ));
-        // Update the bid amount input to reflect new minimum (currentBid + 10)
+      // Missed-event replay after a reconnect: only lots that changed while we were away
+      socketRef.current.on('resync', ({ items, removedIds, serverTime }) => {
+        console.log(`[DATA] Resynced ${items.length} changed items after reconnect`);
+        seedClockOffset(serverTime);
+        setListingRevision(revision => revision + 1);
+        setAuctions(prev => items.reduce(mergeItem, prev.filter(item => !removedIds.includes(item.id))));
+        setBidAmounts(prev => {
+          const next = { ...prev };
+          removedIds.forEach(id => delete next[id]);
+          items.forEach(item => { next[item.id] = item.minimumBid; });
+          return next;
+        });
+      });
+
+      // Every bid, in brief: keeps prices and end times current across the grid
+      socketRef.current.on('bidSummary', (summary) => {
+        setAuctions(prev => prev.map(item => (
+          item.id === summary.id && !(item.version > summary.version) ? { ...item, ...summary } : item
+        )));
+        // Update the bid amount input to reflect the server's new minimum
         setBidAmounts(prev => ({
           ...prev,
-          [updatedItem.id]: updatedItem.currentBid + 10
+          [summary.id]: summary.minimumBid
         }));
-        showNotification(`New bid on ${updatedItem.name}: $${updatedItem.currentBid}`, 'success');
       });
 
-      // Listen for bid success
-      socketRef.current.on('bidSuccess', (item) => {
-        showNotification(`Your bid of $${item.currentBid} on ${item.title} was successful!`, 'success');
+      // Full updates with the bid feed, only for lots we're subscribed to
+      socketRef.current.on('bidUpdate', (updatedItem) => {
+        console.log('[BID] Bid update received:', updatedItem);
+        setAuctions(prev => mergeItem(prev, updatedItem));
+        showNotification(
+          updatedItem.format === 'sealed'
+            ? `New sealed bid on ${updatedItem.title}`
+            : `New bid on ${updatedItem.title}: ${formatMoney(updatedItem.currentBid, updatedItem.currency)}`,
+          'success'
+        );
+      });
+
+      // Admin changes: add, replace or remove cards live
+      socketRef.current.on('auctionCreated', (newItem) => {
+        setAuctions(prev => mergeItem(prev, newItem));
+        setBidAmounts(prev => ({ ...prev, [newItem.id]: newItem.minimumBid }));
+        setListingRevision(revision => revision + 1);
+      });
+
+      socketRef.current.on('auctionUpdated', (updatedItem) => {
+        setAuctions(prev => mergeItem(prev, updatedItem));
+      });
+
+      socketRef.current.on('auctionCancelled', ({ id }) => {
+        setAuctions(prev => prev.filter(item => item.id !== id));
+        setListingRevision(revision => revision + 1);
+        setBidAmounts(prev => {
+          const next = { ...prev };
+          delete next[id];
+          return next;
+        });
+      });
+
+      // An upcoming lot has opened for bidding
+      socketRef.current.on('auctionOpened', (openedItem) => {
+        setAuctions(prev => mergeItem(prev, openedItem));
+        setBidAmounts(prev => ({ ...prev, [openedItem.id]: openedItem.minimumBid }));
+        showNotification(`${openedItem.title} is now open for bidding`, 'success');
       });
 
-      // Listen for bid errors
-      socketRef.current.on('bidError', (data) => {
-        showNotification(data.error, 'error');
+      // Server-confirmed close with the final result
+      socketRef.current.on('auctionClosed', (closedItem) => {
+        setAuctions(prev => mergeItem(prev, closedItem));
+        showNotification(
+          closedItem.winningBidder
+            ? `${closedItem.title} sold to ${closedItem.winningBidder} for ${formatMoney(closedItem.winningBid, closedItem.currency)}`
+            : closedItem.highestBidder
+              ? `${closedItem.title} closed - reserve not met`
+              : `${closedItem.title} closed with no bids`,
+          'success'
+        );
+      });
+
+      // Personal events, only sent to this user's sessions
+      socketRef.current.on('bidderState', ({ itemIds }) => {
+        setParticipatingItemIds(itemIds);
+      });
+
+      socketRef.current.on('outbid', ({ title, currentBid, currency }) => {
+        const price = formatMoney(currentBid, currency);
+        showNotification(`You've been outbid on ${title} - the bid is now ${price}`, 'error');
+        notifyInBackground("You've been outbid", `${title} is now at ${price}`);
+      });
+
+      socketRef.current.on('watchlist', ({ itemIds }) => {
+        setWatchedItemIds(itemIds);
+      });
+
+      // A new order, or a change to one (paid, expired)
+      socketRef.current.on('order', (order) => {
+        setOrders(prev => (prev.some(o => o.id === order.id)
+          ? prev.map(o => (o.id === order.id ? order : o))
+          : [order, ...prev]));
+
+        if (order.status === 'awaiting_payment' && order.secondChance) {
+          const price = formatMoney(order.hammerPrice, order.currency);
+          showNotification(`Second chance: ${order.itemTitle} is yours for ${price} - see My auctions to pay`, 'success');
+          notifyInBackground('Second-chance offer', `${order.itemTitle} for ${price}`);
+        } else if (order.status === 'expired') {
+          showNotification(`Your order for ${order.itemTitle} expired unpaid`, 'error');
+        }
+      });
+
+      // Only sent for lots on our watchlist
+      socketRef.current.on('endingSoon', ({ title, auctionEndsAt }) => {
+        const minutes = Math.max(Math.ceil((auctionEndsAt - serverNow()) / 60000), 1);
+        showNotification(`${title} closes in ${minutes} min`, 'success');
+        notifyInBackground('Ending soon', `${title} closes in ${minutes} min`);
       });
 
       // Handle disconnection
-      socketRef.current.on('disconnect', () => {
-        console.log('[WEBSOCKET] Disconnected from server');
+      socketRef.current.on('disconnect', (reason) => {
+        console.log('[WEBSOCKET] Disconnected from server:', reason);
+        // The client reconnects on its own unless we (or the server) closed it on purpose
+        setConnectionStatus(socketRef.current?.active ? 'reconnecting' : 'offline');
       });
     }, 100);
 
+    // Clocks drift; keep the offset fresh for long-running tabs
+    const clockTimer = setInterval(() => {
+      if (socketRef.current?.connected) {
+        syncClock(socketRef.current, (sample) => setRoundTripMs(Math.round(sample.roundTripMs)));
+      }
+    }, CLOCK_SYNC_INTERVAL_MS);
+
     return () => {
       clearTimeout(connectTimer);
+      clearInterval(clockTimer);
       socketRef.current?.disconnect();
     };
+  }, [authToken, showNotification]);
+
+  // Called by ChromaGrid as cards scroll in and out of view
+  const handleVisibleItemsChange = useCallback((itemIds) => {
+    const previous = subscribedIdsRef.current;
+    subscribedIdsRef.current = itemIds;
+    if (!socketRef.current?.connected) return;
+
+    const removed = previous.filter(id => !itemIds.includes(id));
+    if (removed.length > 0) socketRef.current.emit('unsubscribe', removed);
+    subscribeToItems(socketRef.current, itemIds.filter(id => !previous.includes(id)), (items) => {
+      setAuctions(prev => items.reduce(mergeItem, prev));
+    });
   }, []);
 
-  const showNotification = (message, type) => {
-    setNotification({ message, type });
-    setTimeout(() => setNotification(null), 3000);
+  const handleLogin = (newSession) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(newSession));
+    setSession(newSession);
   };
 
+  const handleLogout = () => {
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
+  };
+
+  // Any filter change starts again from the first page
+  const updateFilters = useCallback((changes) => {
+    setFilters(prev => ({ ...prev, page: 1, ...changes }));
+  }, []);
+
+  // The listing decides which lots show and in what order; each lot is
+  // swapped for its live copy unless the listing already holds a newer one
+  const liveById = new Map(auctions.map(item => [item.id, item]));
+  const visibleAuctions = listing
+    ? listing.items
+      .filter(item => auctions.length === 0 || liveById.has(item.id))
+      .map(item => {
+        const live = liveById.get(item.id);
+        return live && live.version >= item.version ? live : item;
+      })
+    : auctions;
+
+  const toggleWatch = async (itemId, watch) => {
+    // Ask while handling the click; browsers ignore requests made out of the blue
+    if (watch && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+
+    try {
+      const response = await fetch(`${SOCKET_URL}/api/watchlist/${itemId}`, {
+        method: watch ? 'PUT' : 'DELETE',
+        headers: { Authorization: `Bearer ${authToken}` }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        showNotification(data.error || 'Could not update your watchlist', 'error');
+        return;
+      }
+      setWatchedItemIds(data.itemIds);
+    } catch {
+      showNotification('Could not reach the server', 'error');
+    }
+  };
+
+  const payOrder = async (orderId) => {
+    try {
+      const response = await fetch(`${SOCKET_URL}/api/me/orders/${orderId}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+        body: JSON.stringify({ paymentToken: DEMO_PAYMENT_TOKEN })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        showNotification(data.error || 'Payment failed', 'error');
+        return;
+      }
+      setOrders(prev => prev.map(o => (o.id === data.order.id ? data.order : o)));
+      showNotification(`Paid ${formatMoney(data.order.total, data.order.currency)} for ${data.order.itemTitle}`, 'success');
+    } catch {
+      showNotification('Could not reach the server', 'error');
+    }
+  };
+
+  // Inputs are typed in major units; bids are held and sent in minor units
   const handleBidChange = (itemId, value) => {
-    setBidAmounts(prev => ({ ...prev, [itemId]: parseFloat(value) || 0 }));
+    const item = auctions.find(a => a.id === itemId);
+    setBidAmounts(prev => ({ ...prev, [itemId]: toMinorUnits(value, item?.currency) || 0 }));
+  };
+
+  // Outcome of one bid, delivered through the socket.io acknowledgement
+  const handleBidReply = (reply) => {
+    if (reply.success) {
+      const { item } = reply;
+      if (reply.closed) {
+        showNotification(`You won ${item.title} for ${formatMoney(item.winningBid, item.currency)}!`, 'success');
+        return;
+      }
+      if (item.format === 'sealed') {
+        showNotification(`Your sealed bid on ${item.title} is in - bids are revealed when the lot closes`, 'success');
+        return;
+      }
+      if (reply.outbidByProxy) {
+        showNotification(`Your bid on ${item.title} was placed, but another bidder's max bid outbid you at ${formatMoney(item.currentBid, item.currency)}`, 'error');
+        return;
+      }
+      showNotification(`Your bid of ${formatMoney(item.currentBid, item.currency)} on ${item.title} was successful!`, 'success');
+      return;
+    }
+
+    // The server throttled our bids; pause the Place Bid buttons until it allows more
+    if (reply.code === 'RATE_LIMITED') {
+      // Cards compare the cooldown with server time
+      setBidCooldownUntil(serverNow() + reply.retryAfterMs);
+      showNotification(`Slow down! You can bid again in ${Math.ceil(reply.retryAfterMs / 1000)}s`, 'error');
+      return;
+    }
+
+    const currency = auctions.find(a => a.id === reply.itemId)?.currency;
+    showNotification(describeBidError(reply, currency), 'error');
+    // Move the input up to the new minimum so a retry can succeed
+    if (reply.code === 'BID_TOO_LOW') {
+      setBidAmounts(prev => ({ ...prev, [reply.itemId]: reply.minimumBid }));
+    }
+  };
+
+  /**
+   * Sends a bid and waits for its acknowledgement. Emits made while offline
+   * are buffered until the socket reconnects; if no ack arrives in time the
+   * same bid (same idempotency key) is sent again, which the server
+   * deduplicates, so a dropped connection can never place it twice.
+   */
+  const sendBid = (bid, attempt = 1) => {
+    socketRef.current.timeout(BID_ACK_TIMEOUT_MS).emit('placeBid', bid, (err, reply) => {
+      if (err && attempt < MAX_BID_ATTEMPTS) {
+        sendBid(bid, attempt + 1);
+        return;
+      }
+
+      setPendingBidItemIds(prev => prev.filter(id => id !== bid.itemId));
+
+      if (err) {
+        showNotification("We couldn't confirm your bid - check the bid history before bidding again", 'error');
+        return;
+      }
+      handleBidReply(reply);
+    });
   };
 
-  const placeBid = (itemId) => {
-    if (!bidderName.trim()) {
-      showNotification('Please enter your name first!', 'error');
+  /**
+   * Bids the amount typed for the lot, or the fixed `amount` the card passes
+   * in for Buy It Now. Accepting a Dutch price sends no amount at all: the
+   * server takes the price as it stands when the bid arrives, so our clock
+   * being off can't make the acceptance miss.
+   */
+  const placeBid = (itemId, maxAmount, { amount: fixedAmount, buyNow, accept } = {}) => {
+    if (!session) {
+      showNotification('Please log in first!', 'error');
       return;
     }
 
-    const amount = bidAmounts[itemId];
+    const amount = accept ? undefined : fixedAmount ?? bidAmounts[itemId];
+    // Live state holds every lot; a deep-linked detail page may be ahead of it
     const item = auctions.find(a => a.id === itemId);
+    if (!item) return;
 
-    if (!amount || amount <= item.currentBid) {
-      showNotification(`Bid must be higher than $${item.currentBid}`, 'error');
+    // The server refuses fractions of the smallest unit (e.g. sub-cent bids) too
+    if (!accept && (!Number.isInteger(amount) || (maxAmount !== undefined && !Number.isInteger(maxAmount)))) {
+      showNotification(`Amounts can't go below ${formatMoney(1, item.currency)}`, 'error');
       return;
     }
 
-    socketRef.current.emit('placeBid', {
+    // A fixed price (and an accept) is checked by the server
+    if (!accept && fixedAmount === undefined && (!amount || amount < item.minimumBid)) {
+      showNotification(`Bid must be at least ${formatMoney(item.minimumBid, item.currency)}`, 'error');
+      return;
+    }
+
+    if (maxAmount !== undefined && maxAmount < amount) {
+      showNotification('Your max bid must be at least your bid amount', 'error');
+      return;
+    }
+
+    if (pendingBidItemIds.includes(itemId)) {
+      return;
+    }
+
+    setPendingBidItemIds(prev => [...prev, itemId]);
+    sendBid({
       itemId,
       amount,
-      bidderName: bidderName.trim()
+      maxAmount,
+      buyNow,
+      accept,
+      idempotencyKey: newIdempotencyKey()
     });
   };
 
+  // Shared by every view that renders live auction cards
+  const cardProps = {
+    placeBid,
+    bidAmounts,
+    handleBidChange,
+    bidderName: session?.user.username || '',
+    currentUser: session?.user.id,
+    participatingItemIds,
+    bidCooldownUntil,
+    pendingBidItemIds,
+    watchedItemIds,
+    onToggleWatch: toggleWatch,
+    onVisibleItemsChange: handleVisibleItemsChange,
+  };
+
+  const navLinkClass = ({ isActive }) => `px-4 py-2 rounded-lg font-semibold transition-all ${isActive
+    ? 'bg-violet-600 text-white'
+    : 'text-gray-300 hover:text-white'
+    }`;
+
   return (
     <div style={{ width: '100%', height: '100vh', position: 'relative', overflow: 'hidden' }}>
       {/* Anti-Gravity Background */}
@@ -139,6 +656,8 @@ function App() {
         returnDuration={1.5}
       />
 
+      <ConnectionStatus status={connectionStatus} transport={transport} roundTripMs={roundTripMs} />
+
       {/* Main Dashboard UI */}
       <div className="absolute inset-0 z-10 overflow-y-auto">
         <div className="min-h-full py-8 px-4">
@@ -148,39 +667,56 @@ function App() {
               Live Bidding Platform
             </h1>
             <p className="text-gray-300 text-lg">Real-time bidding with race condition protection</p>
+            <nav className="mt-6 inline-flex gap-2 glass-dark p-1 rounded-xl">
+              <NavLink to="/" end className={navLinkClass}>All auctions</NavLink>
+              <NavLink to="/me" className={navLinkClass}>My auctions</NavLink>
+            </nav>
           </header>
 
-          {/* User Name Input */}
+          {/* Account */}
           <div className="max-w-md mx-auto mb-8">
-            <div className="glass-dark p-6 rounded-xl">
-              <label className="block text-sm font-medium mb-2 text-gray-300">Your Name</label>
-              <input
-                type="text"
-                value={bidderName}
-                onChange={(e) => setBidderName(e.target.value)}
-                placeholder="Enter your name to start bidding"
-                className="w-full glass px-4 py-3 rounded-lg outline-none focus:ring-2 focus:ring-primary transition-all text-white"
-              />
-            </div>
+            <LoginPanel
+              serverUrl={SOCKET_URL}
+              session={session}
+              onLogin={handleLogin}
+              onLogout={handleLogout}
+            />
           </div>
 
-          {/* Auction Items Grid - ChromaGrid with Spotlight Effects */}
-          <ChromaGrid
-            auctionItems={auctions}
-            placeBid={placeBid}
-            bidAmounts={bidAmounts}
-            handleBidChange={handleBidChange}
-            bidderName={bidderName}
-            currentUser={socketRef.current?.id}
-          />
+          <Routes>
+            <Route path="/" element={
+              <>
+                <AuctionToolbar
+                  filters={filters}
+                  onChange={updateFilters}
+                  categories={listing?.categories || []}
+                  currencies={listing?.currencies || []}
+                  total={listing ? listing.total : auctions.length}
+                  page={filters.page}
+                  pageCount={listing ? Math.ceil(listing.total / listing.limit) : 1}
+                  error={listingError}
+                />
+
+                {/* Auction Items Grid - ChromaGrid with Spotlight Effects */}
+                <ChromaGrid auctionItems={visibleAuctions} {...cardProps} />
+              </>
+            } />
+            <Route path="/auctions/:id" element={<AuctionDetailPage auctions={auctions} {...cardProps} />} />
+            <Route path="/me" element={<MyAuctionsPage session={session} auctions={auctions} orders={orders} onPayOrder={payOrder} {...cardProps} />} />
+            <Route path="*" element={
+              <div className="max-w-4xl mx-auto glass-dark p-6 rounded-xl text-center text-gray-300">
+                Page not found - <NavLink to="/" className="text-cyan-400 hover:text-cyan-300">back to all auctions</NavLink>
+              </div>
+            } />
+          </Routes>
 
           {/* Instructions */}
           <div className="max-w-4xl mx-auto mt-12">
             <div className="glass-dark p-6 rounded-xl">
               <h3 className="text-xl font-bold text-white mb-3">🔒 Race Condition Protection</h3>
               <p className="text-gray-300 leading-relaxed">
-                This platform uses a <span className="text-primary font-semibold">mutex lock mechanism</span> to prevent race conditions.
-                When multiple users bid simultaneously, requests are processed sequentially. Only bids higher than the current bid are accepted.
+                This platform gives every lot its own <span className="text-primary font-semibold">bid queue</span> to prevent race conditions.
+                When multiple users bid on the same item simultaneously, requests are processed one at a time in arrival order. Only bids higher than the current bid are accepted.
                 Try opening multiple browser tabs and bidding at the same time to see it in action!
               </p>
             </div>
@@ -1,23 +1,49 @@
 import { useRef, useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import BidHistory from './BidHistory';
+import { serverNow } from '../serverClock';
+import { formatMoney, fromMinorUnits, toMinorUnits } from '../money';
 import './AuctionCard.css';
 
-const AuctionCard = ({ item, index, placeBid, bidAmounts, handleBidChange, bidderName, currentUser, onCardRef, isFlashing }) => {
-    // Initialize targetTime ONLY ONCE using useState lazy initialization
-    const [targetTime] = useState(() => {
-        return item.auctionEndsAt ? item.auctionEndsAt : (Date.now() + (15 * 60 * 1000));
-    });
-    const [timeLeft, setTimeLeft] = useState(targetTime - Date.now());
+/**
+ * Asking price of a Dutch lot at `now`, on the same schedule the server uses
+ * (see server/formats/dutch.js), so the price ticks down between updates.
+ */
+function getDutchPrice(item, now) {
+    const { floorPrice, decrement, intervalMs, startsAt } = item.dutch;
+    const drops = Math.max(Math.floor((now - startsAt) / intervalMs), 0);
+    return Math.max(item.startingPrice - drops * decrement, floorPrice);
+}
+
+const BID_BUTTON_ENABLED = 'bg-gradient-to-r from-cyan-500 to-violet-600 hover:from-cyan-600 hover:to-violet-700 shadow-lg shadow-violet-500/50';
+const BID_BUTTON_DISABLED = 'bg-gray-600 cursor-not-allowed opacity-50';
+
+const AuctionCard = ({ item, index, placeBid, bidAmounts, handleBidChange, bidderName, currentUser, hasBid, bidCooldownUntil = 0, isBidPending = false, isWatching = false, onToggleWatch, onCardRef, isFlashing, showHistory = true }) => {
+    // Tick a clock instead of freezing the end time, so the countdown follows
+    // server-driven changes to auctionEndsAt (soft-close extensions, admin edits).
+    // It runs on server time, so a skewed local clock can't misstate the time left.
+    const [now, setNow] = useState(() => serverNow());
+    const timeLeft = item.auctionEndsAt - now;
+    // "Set max bid" mode: the server auto-bids on our behalf up to maxBid
+    const [isMaxBidMode, setIsMaxBidMode] = useState(false);
+    const [maxBid, setMaxBid] = useState('');
+    const isClosed = item.status === 'closed';
+    const isUpcoming = item.status === 'upcoming';
+    // Sealed lots hide the price and leader until close; Dutch lots count down
+    const isSealed = item.format === 'sealed';
+    const isDutch = item.format === 'dutch';
+    const dutchPrice = isDutch && item.status === 'open' ? getDutchPrice(item, now) : null;
     const cardRef = useRef(null);
+    // Amounts arrive in minor units; show them in the lot's currency
+    const money = (amount) => formatMoney(amount, item.currency);
+    const toInput = (amount) => fromMinorUnits(amount, item.currency);
 
-    // Timer logic - updates every second
+    // Timer logic - updates every second until the server closes the lot
     useEffect(() => {
-        const timer = setInterval(() => {
-            const newTimeLeft = targetTime - Date.now();
-            setTimeLeft(newTimeLeft);
-            if (newTimeLeft <= 0) clearInterval(timer);
-        }, 1000);
+        if (isClosed) return;
+        const timer = setInterval(() => setNow(serverNow()), 1000);
         return () => clearInterval(timer);
-    }, [targetTime]);
+    }, [isClosed]);
 
     // Format time display
     const formatTime = (ms) => {
@@ -28,9 +54,21 @@ const AuctionCard = ({ item, index, placeBid, bidAmounts, handleBidChange, bidde
         return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
     };
 
-    const isWinning = item.highestBidder === currentUser;
-    const isOutbid = item.userHasBid && !isWinning;
-    const isClosed = timeLeft <= 0;
+    // The server decides when a lot opens and closes; the local countdowns
+    // only bridge the gap until auctionOpened / auctionClosed arrives.
+    const isClosing = item.status === 'open' && timeLeft <= 0;
+    const isOpening = isUpcoming && item.auctionStartsAt <= now;
+    const isBiddingDisabled = isClosed || isClosing || isUpcoming;
+    // Seconds left on a server-imposed rate-limit cooldown
+    const cooldownSeconds = Math.max(Math.ceil((bidCooldownUntil - now) / 1000), 0);
+    const canPlaceBid = Boolean(bidderName.trim()) && !isBiddingDisabled && cooldownSeconds === 0 && !isBidPending;
+    const bidButtonLabel = (label) => (isClosed ? 'Auction Closed' : isClosing ? 'Closing…' : isUpcoming ? 'Not Open Yet' : isBidPending ? 'Placing bid…' : cooldownSeconds > 0 ? `Wait ${cooldownSeconds}s` : label);
+
+    // currentUser is the logged-in user's id; anonymous viewers get no badges
+    const isWinning = !isClosed && Boolean(currentUser) && item.highestBidderId === currentUser;
+    const hasWon = isClosed && Boolean(currentUser) && item.winningBidderId === currentUser;
+    const hasSealedBid = isSealed && !isClosed && hasBid;
+    const isOutbid = hasBid && !isWinning && !hasWon && !hasSealedBid;
 
     // Store ref for parent component
     useEffect(() => {
@@ -42,6 +80,7 @@ const AuctionCard = ({ item, index, placeBid, bidAmounts, handleBidChange, bidde
     return (
         <div
             ref={cardRef}
+            data-item-id={item.id}
             className={`chroma-card relative p-6 rounded-xl overflow-hidden ${isFlashing ? 'flash-green' : ''}`}
             style={{
                 '--mouse-x': '0px',
@@ -58,70 +97,222 @@ const AuctionCard = ({ item, index, placeBid, bidAmounts, handleBidChange, bidde
                             WINNING 👑
                         </div>
                     )}
+                    {hasWon && (
+                        <div className="badge-winning px-3 py-1 rounded-full text-xs font-bold">
+                            WON 🏆
+                        </div>
+                    )}
+                    {hasSealedBid && (
+                        <div className="badge-reserve px-3 py-1 rounded-full text-xs font-bold">
+                            BID PLACED ✉️
+                        </div>
+                    )}
                     {isOutbid && (
                         <div className="badge-outbid px-3 py-1 rounded-full text-xs font-bold">
                             OUTBID ⚠️
                         </div>
                     )}
+                    {item.hasReserve && !item.reserveMet && (
+                        <div className="badge-reserve px-3 py-1 rounded-full text-xs font-bold">
+                            RESERVE NOT MET
+                        </div>
+                    )}
                 </div>
 
                 <div className="mb-4">
-                    <h3 className="text-2xl font-bold text-white mb-2">{item.title}</h3>
-                    <div className="flex items-baseline gap-2">
-                        <span className="text-gray-400 text-sm">Current Bid:</span>
-                        <span className="text-3xl font-bold bg-gradient-to-r from-cyan-400 to-violet-500 bg-clip-text text-transparent">
-                            ${item.currentBid}
-                        </span>
-                    </div>
-
-                    <div className="mt-3 flex items-center gap-2">
-                        <span className="text-gray-400 text-sm">Time Remaining:</span>
-                        {isClosed ? (
-                            <div className="badge-closed px-3 py-1 rounded-full text-xs font-bold">
-                                CLOSED 🔒
+                    {item.category && (
+                        <span className="text-xs uppercase tracking-wide text-cyan-300">{item.category}</span>
+                    )}
+                    <h3 className="text-2xl font-bold text-white mb-2">
+                        <Link to={`/auctions/${item.id}`} className="hover:text-cyan-300 transition-colors">
+                            {item.title}
+                        </Link>
+                    </h3>
+                    {currentUser && onToggleWatch && (
+                        <button
+                            onClick={() => onToggleWatch(item.id, !isWatching)}
+                            aria-pressed={isWatching}
+                            className={`mb-2 px-3 py-1 rounded-full text-xs font-semibold transition-all ${isWatching
+                                ? 'bg-violet-600 text-white'
+                                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                                }`}
+                        >
+                            {isWatching ? 'Watching ★' : 'Watch ☆'}
+                        </button>
+                    )}
+                    {item.description && (
+                        <p className="text-sm text-gray-400 mb-2">{item.description}</p>
+                    )}
+                    {isSealed && !isClosed ? (
+                        <div>
+                            <div className="flex items-baseline gap-2">
+                                <span className="text-gray-400 text-sm">Sealed Bid:</span>
+                                <span className="text-xl font-bold text-white">
+                                    {item.bidCount} {item.bidCount === 1 ? 'bid' : 'bids'} in
+                                </span>
                             </div>
-                        ) : (
-                            <span className="text-xl font-bold text-cyan-400 font-mono">
-                                {formatTime(timeLeft)}
+                            <p className="text-xs text-gray-400 mt-1">
+                                Opens at {money(item.startingPrice)}. Highest bid wins and pays {item.sealedPricing === 'second' ? 'the second-highest bid' : 'their own bid'}; bids are revealed at close.
+                            </p>
+                        </div>
+                    ) : (
+                        <div className="flex items-baseline gap-2">
+                            <span className="text-gray-400 text-sm">{isDutch && !isClosed ? 'Current Price:' : 'Current Bid:'}</span>
+                            <span className="text-3xl font-bold bg-gradient-to-r from-cyan-400 to-violet-500 bg-clip-text text-transparent">
+                                {money(dutchPrice ?? item.currentBid)}
                             </span>
-                        )}
-                    </div>
+                        </div>
+                    )}
 
-                    {item.highestBidder && (
+                    {isDutch && !isClosed && (
+                        <p className="text-xs text-gray-400 mt-1">
+                            {(dutchPrice ?? item.currentBid) > item.dutch.floorPrice
+                                ? `Drops ${money(item.dutch.decrement)} every ${item.dutch.intervalMs / 1000}s, down to ${money(item.dutch.floorPrice)}. First to accept wins.`
+                                : `At its floor price of ${money(item.dutch.floorPrice)}. First to accept wins.`}
+                        </p>
+                    )}
+
+                    {isUpcoming ? (
+                        <div className="mt-3 flex items-center gap-2">
+                            <span className="text-gray-400 text-sm">Starts In:</span>
+                            {item.opensAfterItemId ? (
+                                <span className="text-sm font-semibold text-amber-300">
+                                    When lot #{item.opensAfterItemId} closes
+                                </span>
+                            ) : isOpening ? (
+                                <span className="text-xl font-bold text-gray-400 font-mono">
+                                    Opening…
+                                </span>
+                            ) : (
+                                <span className="text-xl font-bold text-amber-300 font-mono">
+                                    {formatTime(item.auctionStartsAt - now)}
+                                </span>
+                            )}
+                        </div>
+                    ) : (
+                        <div className="mt-3 flex items-center gap-2">
+                            <span className="text-gray-400 text-sm">Time Remaining:</span>
+                            {isClosed ? (
+                                <div className="badge-closed px-3 py-1 rounded-full text-xs font-bold">
+                                    CLOSED 🔒
+                                </div>
+                            ) : isClosing ? (
+                                <span className="text-xl font-bold text-gray-400 font-mono">
+                                    Closing…
+                                </span>
+                            ) : (
+                                <span className="text-xl font-bold text-cyan-400 font-mono">
+                                    {formatTime(timeLeft)}
+                                </span>
+                            )}
+                        </div>
+                    )}
+
+                    {isClosed && (
+                        <p className="text-sm text-gray-300 mt-2">
+                            {item.winningBidder ? (
+                                <>
+                                    Sold to{' '}
+                                    <span className="text-violet-400 font-semibold">{item.winningBidder}</span>
+                                    {' '}for {money(item.winningBid)}
+                                </>
+                            ) : item.highestBidder ? (
+                                'Closed - reserve not met'
+                            ) : (
+                                'Closed with no bids'
+                            )}
+                        </p>
+                    )}
+
+                    {!isClosed && item.highestBidder && (
                         <p className="text-sm text-gray-400 mt-2">
                             Highest Bidder:{' '}
                             <span className="text-violet-400 font-semibold">{item.highestBidder}</span>
                         </p>
                     )}
+
+                    {showHistory && <BidHistory itemId={item.id} recentBids={item.recentBids} currency={item.currency} />}
                 </div>
 
                 <div className="space-y-3">
-                    <div>
-                        <label className="block text-sm font-medium mb-2 text-gray-300">
-                            Your Bid Amount
-                        </label>
-                        <input
-                            type="number"
-                            value={bidAmounts[item.id] || item.currentBid + 10}
-                            onChange={(e) => handleBidChange(item.id, e.target.value)}
-                            placeholder={`Minimum: $${item.currentBid + 1}`}
-                            className="w-full"
-                            min={item.currentBid + 1}
-                            step="10"
-                            disabled={isClosed}
-                        />
-                    </div>
-
-                    <button
-                        onClick={() => placeBid(item.id)}
-                        disabled={!bidderName.trim() || isClosed}
-                        className={`w-full py-3 rounded-lg font-semibold text-white transition-all ${bidderName.trim() && !isClosed
-                            ? 'bg-gradient-to-r from-cyan-500 to-violet-600 hover:from-cyan-600 hover:to-violet-700 shadow-lg shadow-violet-500/50'
-                            : 'bg-gray-600 cursor-not-allowed opacity-50'
-                            }`}
-                    >
-                        {isClosed ? 'Auction Closed' : 'Place Bid'}
-                    </button>
+                    {isDutch ? (
+                        <button
+                            onClick={() => placeBid(item.id, undefined, { accept: true })}
+                            disabled={!canPlaceBid}
+                            className={`w-full py-3 rounded-lg font-semibold text-white transition-all ${canPlaceBid ? BID_BUTTON_ENABLED : BID_BUTTON_DISABLED}`}
+                        >
+                            {bidButtonLabel(`Accept ${money(dutchPrice)}`)}
+                        </button>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="block text-sm font-medium mb-2 text-gray-300">
+                                    {isSealed ? 'Your Sealed Bid' : 'Your Bid Amount'}
+                                </label>
+                                <input
+                                    type="number"
+                                    value={toInput(bidAmounts[item.id] || item.minimumBid)}
+                                    onChange={(e) => handleBidChange(item.id, e.target.value)}
+                                    placeholder={`Minimum: ${money(item.minimumBid)}`}
+                                    className="w-full"
+                                    min={toInput(item.minimumBid)}
+                                    step={toInput(item.bidIncrement)}
+                                    disabled={isBiddingDisabled}
+                                />
+                            </div>
+
+                            {!isSealed && (
+                                <label className="flex items-center gap-2 text-sm text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={isMaxBidMode}
+                                        onChange={(e) => setIsMaxBidMode(e.target.checked)}
+                                        disabled={isBiddingDisabled}
+                                    />
+                                    Set max bid (we'll bid for you up to this amount)
+                                </label>
+                            )}
+
+                            {!isSealed && isMaxBidMode && (
+                                <div>
+                                    <label className="block text-sm font-medium mb-2 text-gray-300">
+                                        Your Maximum Bid
+                                    </label>
+                                    <input
+                                        type="number"
+                                        value={maxBid}
+                                        onChange={(e) => setMaxBid(e.target.value)}
+                                        placeholder="Kept private from other bidders"
+                                        className="w-full"
+                                        min={toInput(bidAmounts[item.id] || item.minimumBid)}
+                                        step={toInput(item.bidIncrement)}
+                                        disabled={isBiddingDisabled}
+                                    />
+                                </div>
+                            )}
+
+                            <button
+                                onClick={() => placeBid(item.id, !isSealed && isMaxBidMode ? toMinorUnits(maxBid, item.currency) || undefined : undefined)}
+                                disabled={!canPlaceBid}
+                                className={`w-full py-3 rounded-lg font-semibold text-white transition-all ${canPlaceBid ? BID_BUTTON_ENABLED : BID_BUTTON_DISABLED}`}
+                            >
+                                {bidButtonLabel(isSealed ? 'Place Sealed Bid' : 'Place Bid')}
+                            </button>
+
+                            {item.buyNowAvailable && (
+                                <button
+                                    onClick={() => placeBid(item.id, undefined, { amount: item.buyNowPrice, buyNow: true })}
+                                    disabled={!canPlaceBid}
+                                    className={`w-full py-2 rounded-lg font-semibold transition-all ${canPlaceBid
+                                        ? 'bg-amber-500 text-gray-900 hover:bg-amber-400'
+                                        : 'bg-gray-600 text-white cursor-not-allowed opacity-50'
+                                        }`}
+                                >
+                                    Buy It Now for {money(item.buyNowPrice)}
+                                </button>
+                            )}
+                        </>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const SORT_OPTIONS = [
+    { value: 'default', label: 'Catalogue order' },
+    { value: 'ending_soon', label: 'Ending soonest' },
+    { value: 'price_asc', label: 'Price: low to high' },
+    { value: 'price_desc', label: 'Price: high to low' },
+    { value: 'newest', label: 'Newest' }
+];
+
+const FIELD_CLASS = 'glass px-3 py-2 rounded-lg outline-none focus:ring-2 focus:ring-primary transition-all text-white';
+
+/**
+ * Search, filter and sort controls for the auction listing. Filter values are
+ * owned by the parent, which re-queries GET /api/auctions when they change.
+ */
+const AuctionToolbar = ({ filters, onChange, categories, currencies, total, page, pageCount, error }) => {
+    const [searchText, setSearchText] = useState(filters.q);
+
+    useEffect(() => {
+        if (searchText === filters.q) return;
+        const timer = setTimeout(() => onChange({ q: searchText }), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchText, filters.q, onChange]);
+
+    return (
+        <div className="max-w-6xl mx-auto mb-8 glass-dark p-4 rounded-xl space-y-3">
+            <div className="flex flex-wrap gap-3">
+                <input
+                    type="search"
+                    value={searchText}
+                    onChange={(e) => setSearchText(e.target.value)}
+                    placeholder="Search lots"
+                    maxLength={100}
+                    className={`${FIELD_CLASS} flex-1 min-w-[12rem]`}
+                />
+                <select
+                    value={filters.category}
+                    onChange={(e) => onChange({ category: e.target.value })}
+                    className={FIELD_CLASS}
+                >
+                    <option value="">All categories</option>
+                    {categories.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                    ))}
+                </select>
+                <select
+                    value={filters.status}
+                    onChange={(e) => onChange({ status: e.target.value })}
+                    className={FIELD_CLASS}
+                >
+                    <option value="">Any status</option>
+                    <option value="open">Open</option>
+                    <option value="upcoming">Upcoming</option>
+                    <option value="closed">Closed</option>
+                </select>
+                {/* Prices only compare within one currency, so the range needs one picked */}
+                <select
+                    value={filters.currency}
+                    onChange={(e) => onChange({ currency: e.target.value })}
+                    className={FIELD_CLASS}
+                >
+                    <option value="">Any currency</option>
+                    {currencies.map(currency => (
+                        <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    value={filters.minPrice}
+                    onChange={(e) => onChange({ minPrice: e.target.value })}
+                    placeholder="Min price"
+                    title={filters.currency ? undefined : 'Pick a currency to filter by price'}
+                    disabled={!filters.currency}
+                    min={0}
+                    className={`${FIELD_CLASS} w-24 disabled:opacity-50`}
+                />
+                <input
+                    type="number"
+                    value={filters.maxPrice}
+                    onChange={(e) => onChange({ maxPrice: e.target.value })}
+                    placeholder="Max price"
+                    title={filters.currency ? undefined : 'Pick a currency to filter by price'}
+                    disabled={!filters.currency}
+                    min={0}
+                    className={`${FIELD_CLASS} w-24 disabled:opacity-50`}
+                />
+                <select
+                    value={filters.sort}
+                    onChange={(e) => onChange({ sort: e.target.value })}
+                    className={FIELD_CLASS}
+                >
+                    {SORT_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="flex items-center justify-between text-sm text-gray-400">
+                {error ? (
+                    <span className="text-red-400">{error}</span>
+                ) : (
+                    <span>{total} {total === 1 ? 'lot' : 'lots'}</span>
+                )}
+                {pageCount > 1 && (
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={() => onChange({ page: page - 1 })}
+                            disabled={page <= 1}
+                            className="px-3 py-1 rounded-lg text-white bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Previous
+                        </button>
+                        <span>Page {page} of {pageCount}</span>
+                        <button
+                            onClick={() => onChange({ page: page + 1 })}
+                            disabled={page >= pageCount}
+                            className="px-3 py-1 rounded-lg text-white bg-gray-600 hover:bg-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Next
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AuctionToolbar;
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { formatMoney } from '../money';
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL;
+const PAGE_SIZE = 10;
+
+async function fetchBidPage(itemId, before) {
+    const query = new URLSearchParams({ limit: PAGE_SIZE });
+    if (before) query.set('before', before);
+
+    const response = await fetch(`${SERVER_URL}/api/auctions/${itemId}/bids?${query}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+/**
+ * Expandable price-progression timeline for one lot.
+ * Older pages come from the REST history endpoint; the newest bids arrive
+ * live with each bidUpdate (item.recentBids) and are merged in by seq.
+ * With `startOpen` (the detail page) the first page loads right away.
+ */
+const BidHistory = ({ itemId, recentBids = [], currency, startOpen = false }) => {
+    const [isOpen, setIsOpen] = useState(startOpen);
+    const [loadedBids, setLoadedBids] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [hasLoaded, setHasLoaded] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadPage = async (before) => {
+        setIsLoading(true);
+        setError('');
+
+        try {
+            const data = await fetchBidPage(itemId, before);
+            setLoadedBids(prev => [...prev, ...data.bids]);
+            setNextCursor(data.nextCursor);
+            setHasLoaded(true);
+        } catch {
+            setError('Could not load bid history');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (!startOpen) return;
+        let isCurrent = true;
+
+        fetchBidPage(itemId)
+            .then((data) => {
+                if (!isCurrent) return;
+                setLoadedBids(data.bids);
+                setNextCursor(data.nextCursor);
+                setHasLoaded(true);
+            })
+            .catch(() => isCurrent && setError('Could not load bid history'));
+
+        return () => { isCurrent = false; };
+    }, [itemId, startOpen]);
+
+    const toggle = () => {
+        if (!isOpen && !hasLoaded) loadPage();
+        setIsOpen(!isOpen);
+    };
+
+    // Live bids first, then fetched pages, newest first with no duplicates
+    const bySeq = new Map();
+    [...recentBids, ...loadedBids].forEach(bid => bySeq.set(bid.seq, bid));
+    const bids = [...bySeq.values()].sort((a, b) => b.seq - a.seq);
+
+    return (
+        <div className="mt-3">
+            <button
+                onClick={toggle}
+                className="text-sm text-cyan-400 hover:text-cyan-300 transition-colors"
+            >
+                {isOpen ? 'Hide bid history ▲' : 'Show bid history ▼'}
+            </button>
+
+            {isOpen && (
+                <div className={`mt-2 ${startOpen ? 'max-h-96' : 'max-h-48'} overflow-y-auto glass rounded-lg p-3`}>
+                    {bids.length === 0 && !isLoading && !error && (
+                        <p className="text-sm text-gray-400">No bids yet</p>
+                    )}
+
+                    <ol className="space-y-1">
+                        {bids.map(bid => (
+                            <li key={bid.seq} className="flex items-center justify-between text-sm">
+                                <span className="text-gray-300">
+                                    <span className="text-violet-400 font-semibold">{bid.bidderName}</span>
+                                    {bid.auto && <span className="ml-2 text-xs text-gray-500">auto</span>}
+                                </span>
+                                <span className="flex items-center gap-3">
+                                    <span className="font-mono text-white">{formatMoney(bid.amount, currency)}</span>
+                                    <span className="text-xs text-gray-500">
+                                        {new Date(bid.placedAt).toLocaleTimeString()}
+                                    </span>
+                                </span>
+                            </li>
+                        ))}
+                    </ol>
+
+                    {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+                    {isLoading && <p className="text-sm text-gray-400 mt-2">Loading…</p>}
+
+                    {nextCursor && !isLoading && (
+                        <button
+                            onClick={() => loadPage(nextCursor)}
+                            className="mt-2 text-xs text-cyan-400 hover:text-cyan-300"
+                        >
+                            Load older bids
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BidHistory;
@@ -2,7 +2,7 @@ import { useRef, useEffect, useState } from 'react';
 import { gsap } from 'gsap';
 import AuctionCard from './AuctionCard';
 
-const ChromaGrid = ({ auctionItems, placeBid, bidAmounts, handleBidChange, bidderName, currentUser }) => {
+const ChromaGrid = ({ auctionItems, placeBid, bidAmounts, handleBidChange, bidderName, currentUser, participatingItemIds, bidCooldownUntil, pendingBidItemIds = [], watchedItemIds = [], onToggleWatch, onVisibleItemsChange }) => {
     const gridRef = useRef(null);
     const cardsRef = useRef([]);
     const [flashingCards, setFlashingCards] = useState({});
@@ -83,6 +83,31 @@ const ChromaGrid = ({ auctionItems, placeBid, bidAmounts, handleBidChange, bidde
         };
     }, [auctionItems]);
 
+    /**
+     * Live-update subscriptions: reports which cards are on (or near) the
+     * screen, so the parent follows only those lots in full.
+     */
+    const itemIdsKey = auctionItems.map(item => item.id).join(',');
+    useEffect(() => {
+        if (!onVisibleItemsChange) return;
+
+        const visibleIds = new Set();
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                const itemId = Number(entry.target.dataset.itemId);
+                if (entry.isIntersecting) {
+                    visibleIds.add(itemId);
+                } else {
+                    visibleIds.delete(itemId);
+                }
+            });
+            onVisibleItemsChange([...visibleIds]);
+        }, { rootMargin: '200px' });
+
+        cardsRef.current.forEach(card => card && observer.observe(card));
+        return () => observer.disconnect();
+    }, [itemIdsKey, onVisibleItemsChange]);
+
     const handleCardRef = (index, ref) => {
         cardsRef.current[index] = ref;
     };
@@ -102,6 +127,11 @@ const ChromaGrid = ({ auctionItems, placeBid, bidAmounts, handleBidChange, bidde
                     handleBidChange={handleBidChange}
                     bidderName={bidderName}
                     currentUser={currentUser}
+                    hasBid={participatingItemIds.includes(item.id)}
+                    bidCooldownUntil={bidCooldownUntil}
+                    isBidPending={pendingBidItemIds.includes(item.id)}
+                    isWatching={watchedItemIds.includes(item.id)}
+                    onToggleWatch={onToggleWatch}
                     onCardRef={handleCardRef}
                     isFlashing={flashingCards[item.id]}
                 />
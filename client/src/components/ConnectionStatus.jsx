@@ -0,0 +1,32 @@
+const STATUS_STYLES = {
+    connecting: { label: 'Connecting…', dot: 'bg-yellow-400 animate-pulse', text: 'text-yellow-300' },
+    online: { label: 'Live', dot: 'bg-green-400', text: 'text-green-300' },
+    reconnecting: { label: 'Reconnecting…', dot: 'bg-orange-400 animate-pulse', text: 'text-orange-300' },
+    offline: { label: 'Offline', dot: 'bg-red-500', text: 'text-red-300' }
+};
+
+/**
+ * Small pill showing the real-time link state, so a dropped connection is
+ * visible instead of silently freezing the prices.
+ */
+const ConnectionStatus = ({ status, transport, roundTripMs }) => {
+    const style = STATUS_STYLES[status] || STATUS_STYLES.connecting;
+
+    return (
+        <div
+            className="fixed top-4 right-4 z-20 glass-dark px-3 py-1.5 rounded-full flex items-center gap-2 text-sm"
+            title={transport ? `Transport: ${transport}` : undefined}
+        >
+            <span className={`inline-block w-2.5 h-2.5 rounded-full ${style.dot}`} />
+            <span className={`font-semibold ${style.text}`}>{style.label}</span>
+            {status === 'online' && transport === 'polling' && (
+                <span className="text-gray-400 text-xs">(polling)</span>
+            )}
+            {status === 'online' && roundTripMs !== null && (
+                <span className="text-gray-400 text-xs" title="Round trip to the server">{roundTripMs} ms</span>
+            )}
+        </div>
+    );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+
+/**
+ * Login / registration form. Posts credentials to the server's auth routes
+ * and hands the resulting session ({ token, user }) back to the parent.
+ */
+const LoginPanel = ({ serverUrl, session, onLogin, onLogout }) => {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const submit = async (mode) => {
+        setError('');
+        setIsSubmitting(true);
+
+        try {
+            const response = await fetch(`${serverUrl}/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.trim(), password })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.error || 'Something went wrong');
+                return;
+            }
+
+            setPassword('');
+            onLogin({ token: data.token, user: data.user });
+        } catch {
+            setError('Could not reach the server');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (session) {
+        return (
+            <div className="glass-dark p-6 rounded-xl flex items-center justify-between">
+                <p className="text-gray-300">
+                    Bidding as{' '}
+                    <span className="text-violet-400 font-semibold">{session.user.username}</span>
+                </p>
+                <button
+                    onClick={onLogout}
+                    className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-gray-600 hover:bg-gray-500 transition-all"
+                >
+                    Log out
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <form
+            className="glass-dark p-6 rounded-xl space-y-3"
+            onSubmit={(e) => {
+                e.preventDefault();
+                submit('login');
+            }}
+        >
+            <label className="block text-sm font-medium text-gray-300">Log in to start bidding</label>
+            <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                autoComplete="username"
+                className="w-full glass px-4 py-3 rounded-lg outline-none focus:ring-2 focus:ring-primary transition-all text-white"
+            />
+            <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                autoComplete="current-password"
+                className="w-full glass px-4 py-3 rounded-lg outline-none focus:ring-2 focus:ring-primary transition-all text-white"
+            />
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <div className="flex gap-3">
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="flex-1 py-3 rounded-lg font-semibold text-white bg-gradient-to-r from-cyan-500 to-violet-600 hover:from-cyan-600 hover:to-violet-700 transition-all"
+                >
+                    Log in
+                </button>
+                <button
+                    type="button"
+                    disabled={isSubmitting}
+                    onClick={() => submit('register')}
+                    className="flex-1 py-3 rounded-lg font-semibold text-white bg-gray-600 hover:bg-gray-500 transition-all"
+                >
+                    Register
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default LoginPanel;
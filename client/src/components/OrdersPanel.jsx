@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { Link } from 'react-router';
+import { formatMoney } from '../money';
+
+const STATUS_LABELS = {
+    awaiting_payment: { text: 'Awaiting payment', className: 'text-amber-400' },
+    paid: { text: 'Paid', className: 'text-green-400' },
+    expired: { text: 'Expired', className: 'text-gray-400' },
+};
+
+/**
+ * The user's orders for lots they won or were offered a second chance at:
+ * the price breakdown, the payment deadline and a Pay button while open.
+ */
+const OrdersPanel = ({ orders, onPay }) => {
+    const [payingId, setPayingId] = useState(null);
+
+    const pay = async (orderId) => {
+        setPayingId(orderId);
+        try {
+            await onPay(orderId);
+        } finally {
+            setPayingId(null);
+        }
+    };
+
+    return (
+        <div className="max-w-4xl mx-auto mb-8 glass-dark p-6 rounded-xl">
+            <h3 className="text-xl font-bold text-white mb-4">Orders</h3>
+            <ul className="space-y-4">
+                {orders.map(order => {
+                    const money = (amount) => formatMoney(amount, order.currency);
+                    const status = STATUS_LABELS[order.status] || { text: order.status, className: 'text-gray-400' };
+                    const isPayable = order.status === 'awaiting_payment';
+
+                    return (
+                        <li key={order.id} className="glass rounded-lg p-4 flex flex-wrap items-center justify-between gap-4">
+                            <div className="text-gray-300 text-sm space-y-1">
+                                <Link to={`/auctions/${order.itemId}`} className="text-white font-semibold hover:text-cyan-300 transition-colors">
+                                    {order.itemTitle}
+                                </Link>
+                                {order.secondChance && <span className="ml-2 text-xs text-violet-400">Second-chance offer</span>}
+                                <p>
+                                    Hammer {money(order.hammerPrice)}
+                                    {order.buyersPremium > 0 && <> + premium {money(order.buyersPremium)}</>}
+                                    {order.tax > 0 && <> + tax {money(order.tax)}</>}
+                                    {' = '}<strong className="text-white">{money(order.total)}</strong>
+                                </p>
+                                <p className={status.className}>
+                                    {status.text}
+                                    {isPayable && ` - due by ${new Date(order.dueAt).toLocaleString()}`}
+                                </p>
+                            </div>
+                            {isPayable && (
+                                <button
+                                    onClick={() => pay(order.id)}
+                                    disabled={payingId === order.id}
+                                    className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-cyan-500 to-violet-600 hover:from-cyan-600 hover:to-violet-700 disabled:opacity-50 transition-all"
+                                >
+                                    {payingId === order.id ? 'Paying…' : `Pay ${money(order.total)}`}
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default OrdersPanel;
@@ -0,0 +1,56 @@
+/**
+ * The server sends every amount as integer minor units of the lot's
+ * currency (cents for USD, yen for JPY). These helpers convert at the edges:
+ * formatting for display in the viewer's locale and parsing what they type.
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const formatters = new Map();
+
+function getFormatter(currency) {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+  }
+  return formatters.get(currency);
+}
+
+/**
+ * Decimal places of the currency's minor unit (2 for USD, 0 for JPY).
+ */
+export function currencyDigits(currency = DEFAULT_CURRENCY) {
+  return getFormatter(currency).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Minor units as a locale-aware price, e.g. 12550 USD -> "$125.50".
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (typeof amount !== 'number') return '';
+  return getFormatter(currency).format(amount / 10 ** currencyDigits(currency));
+}
+
+/**
+ * Minor units as a plain major-unit number, for number inputs.
+ */
+export function fromMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return amount / 10 ** currencyDigits(currency);
+}
+
+/**
+ * Parses a typed major-unit amount ("125.5") into minor units (12550)
+ * without going through float arithmetic. Digits past the smallest unit are
+ * kept as a fraction so callers can refuse them rather than round silently.
+ *
+ * @returns {number} Minor units, or NaN for anything that isn't a plain amount
+ */
+export function toMinorUnits(value, currency = DEFAULT_CURRENCY) {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(String(value).trim());
+  if (!match || !(match[1] || match[2])) return NaN;
+
+  const digits = currencyDigits(currency);
+  const [, whole, fraction = ''] = match;
+  const minor = Number(whole + fraction.slice(0, digits).padEnd(digits, '0'));
+  const rest = fraction.slice(digits);
+  return rest ? minor + Number(`0.${rest}`) : minor;
+}
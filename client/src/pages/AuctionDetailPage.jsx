@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router';
+import AuctionCard from '../components/AuctionCard';
+import BidHistory from '../components/BidHistory';
+
+const SERVER_URL = import.meta.env.VITE_SERVER_URL;
+
+// The bid panel is a single card outside ChromaGrid's spotlight tracking
+const ignoreCardRef = () => {};
+
+/**
+ * One lot at /auctions/:id: photo gallery, description, full bid history
+ * and the bid form. The lot is fetched on its own so deep links work before
+ * the socket's initial state arrives; after that the live copy wins.
+ */
+const AuctionDetailPage = ({ auctions, placeBid, bidAmounts, handleBidChange, bidderName, currentUser, participatingItemIds, bidCooldownUntil, pendingBidItemIds, watchedItemIds, onToggleWatch, onVisibleItemsChange }) => {
+    const itemId = Number(useParams().id);
+    const [fetched, setFetched] = useState({ itemId: null, item: null, error: '' });
+    const [selectedImage, setSelectedImage] = useState(0);
+
+    useEffect(() => {
+        let isCurrent = true;
+
+        fetch(`${SERVER_URL}/api/auctions/${itemId}`)
+            .then(async (response) => {
+                const data = await response.json();
+                if (!isCurrent) return;
+                setFetched(response.ok
+                    ? { itemId, item: data.item, error: '' }
+                    : { itemId, item: null, error: data.error || 'Could not load this lot' });
+            })
+            .catch(() => isCurrent && setFetched({ itemId, item: null, error: 'Could not reach the server' }));
+
+        return () => { isCurrent = false; };
+    }, [itemId]);
+
+    // Follow this lot in full (bidUpdate with the bid feed) while it is open
+    useEffect(() => {
+        onVisibleItemsChange([itemId]);
+        return () => onVisibleItemsChange([]);
+    }, [itemId, onVisibleItemsChange]);
+
+    const liveItem = auctions.find(item => item.id === itemId);
+    const fetchedItem = fetched.itemId === itemId ? fetched.item : null;
+    const item = liveItem && !(fetchedItem?.version > liveItem.version) ? liveItem : fetchedItem;
+
+    if (!item) {
+        return (
+            <div className="max-w-4xl mx-auto glass-dark p-6 rounded-xl text-center">
+                <p className="text-gray-300 mb-4">
+                    {fetched.itemId === itemId && fetched.error ? fetched.error : 'Loading…'}
+                </p>
+                <Link to="/" className="text-cyan-400 hover:text-cyan-300">← Back to all auctions</Link>
+            </div>
+        );
+    }
+
+    const images = [item.image, ...(item.images || [])].filter(Boolean);
+    const shownImage = images[Math.min(selectedImage, images.length - 1)];
+
+    return (
+        <div className="max-w-6xl mx-auto">
+            <Link to="/" className="inline-block mb-4 text-cyan-400 hover:text-cyan-300">← Back to all auctions</Link>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="space-y-4">
+                    {shownImage && (
+                        <div className="glass-dark rounded-xl overflow-hidden">
+                            <img src={shownImage} alt={item.title} className="w-full aspect-[4/3] object-cover" />
+                        </div>
+                    )}
+
+                    {images.length > 1 && (
+                        <div className="flex gap-2 overflow-x-auto">
+                            {images.map((image, index) => (
+                                <button
+                                    key={image}
+                                    onClick={() => setSelectedImage(index)}
+                                    className={`shrink-0 rounded-lg overflow-hidden border-2 ${image === shownImage ? 'border-cyan-400' : 'border-transparent'}`}
+                                >
+                                    <img src={image} alt={`${item.title} photo ${index + 1}`} className="w-20 h-16 object-cover" />
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="glass-dark p-6 rounded-xl">
+                        <h2 className="text-xl font-bold text-white mb-2">About this lot</h2>
+                        <p className="text-gray-300 whitespace-pre-line">{item.description || 'No description provided.'}</p>
+                        {item.tags?.length > 0 && (
+                            <div className="mt-3 flex flex-wrap gap-2">
+                                {item.tags.map(tag => (
+                                    <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-700 text-gray-300">#{tag}</span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="glass-dark p-6 rounded-xl">
+                        <h2 className="text-xl font-bold text-white">Bid history</h2>
+                        <BidHistory key={item.id} itemId={item.id} recentBids={item.recentBids} currency={item.currency} startOpen />
+                    </div>
+                </div>
+
+                <div>
+                    <AuctionCard
+                        item={item}
+                        index={0}
+                        placeBid={placeBid}
+                        bidAmounts={bidAmounts}
+                        handleBidChange={handleBidChange}
+                        bidderName={bidderName}
+                        currentUser={currentUser}
+                        hasBid={participatingItemIds.includes(item.id)}
+                        bidCooldownUntil={bidCooldownUntil}
+                        isBidPending={pendingBidItemIds.includes(item.id)}
+                        isWatching={watchedItemIds.includes(item.id)}
+                        onToggleWatch={onToggleWatch}
+                        onCardRef={ignoreCardRef}
+                        isFlashing={false}
+                        showHistory={false}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AuctionDetailPage;
@@ -0,0 +1,49 @@
+import { Link } from 'react-router';
+import ChromaGrid from '../components/ChromaGrid';
+import OrdersPanel from '../components/OrdersPanel';
+
+/**
+ * The logged-in user's lots at /me: orders for lots they won, then
+ * everything they have bid on or are watching, with the usual live cards.
+ */
+const MyAuctionsPage = ({ session, auctions, orders, onPayOrder, participatingItemIds, watchedItemIds, ...gridProps }) => {
+    if (!session) {
+        return (
+            <div className="max-w-4xl mx-auto glass-dark p-6 rounded-xl text-center text-gray-300">
+                Log in to see the lots you're bidding on and watching.
+            </div>
+        );
+    }
+
+    const myItems = auctions.filter(item => participatingItemIds.includes(item.id) || watchedItemIds.includes(item.id));
+    const winningCount = myItems.filter(item => item.status !== 'closed' && item.highestBidderId === session.user.id).length;
+    const wonCount = myItems.filter(item => item.status === 'closed' && item.winningBidderId === session.user.id).length;
+
+    return (
+        <div>
+            <div className="max-w-4xl mx-auto mb-8 glass-dark p-6 rounded-xl flex flex-wrap gap-6 justify-center text-gray-300">
+                <span>Bidding on <strong className="text-white">{participatingItemIds.length}</strong></span>
+                <span>Watching <strong className="text-white">{watchedItemIds.length}</strong></span>
+                <span>Winning <strong className="text-white">{winningCount}</strong></span>
+                <span>Won <strong className="text-white">{wonCount}</strong></span>
+            </div>
+
+            {orders.length > 0 && <OrdersPanel orders={orders} onPay={onPayOrder} />}
+
+            {myItems.length === 0 ? (
+                <p className="text-center text-gray-400">
+                    Nothing here yet - <Link to="/" className="text-cyan-400 hover:text-cyan-300">browse the auctions</Link> to bid or watch.
+                </p>
+            ) : (
+                <ChromaGrid
+                    {...gridProps}
+                    auctionItems={myItems}
+                    participatingItemIds={participatingItemIds}
+                    watchedItemIds={watchedItemIds}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MyAuctionsPage;
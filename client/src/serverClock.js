@@ -0,0 +1,58 @@
+/**
+ * Server-corrected clock. Lot times (auctionEndsAt, auctionStartsAt, Dutch
+ * price drops) are server timestamps, so countdowns compare them with
+ * serverNow() instead of a local clock that may be minutes off.
+ *
+ * The offset is estimated NTP-style from timeSync round trips: the server's
+ * time is assumed to be read halfway through the trip. Of the last few
+ * samples the one with the fastest trip wins, since it leaves the least room
+ * for an uneven split between the two directions.
+ */
+
+// Round trips kept for choosing the best estimate
+const MAX_SAMPLES = 5;
+const SYNC_TIMEOUT_MS = 5000;
+
+let samples = [];
+let offsetMs = 0;
+
+/**
+ * Current time on the server's clock (ms).
+ */
+export function serverNow() {
+  return Date.now() + offsetMs;
+}
+
+/**
+ * Rough offset from a server timestamp that arrived with a push
+ * (initialState, resync). Only used until the first round trip is measured.
+ */
+export function seedClockOffset(serverTime) {
+  if (samples.length === 0 && typeof serverTime === 'number') {
+    offsetMs = serverTime - Date.now();
+  }
+}
+
+/**
+ * Pings the server and folds the answer into the offset estimate.
+ *
+ * @param {import('socket.io-client').Socket} socket
+ * @param {Function} [onSample] - Called with { offsetMs, roundTripMs } of the estimate in use
+ */
+export function syncClock(socket, onSample) {
+  const sentAt = Date.now();
+
+  socket.timeout(SYNC_TIMEOUT_MS).emit('timeSync', (err, reply) => {
+    if (err || typeof reply?.serverTime !== 'number') return;
+
+    const receivedAt = Date.now();
+    samples = [...samples, {
+      offsetMs: reply.serverTime - (sentAt + receivedAt) / 2,
+      roundTripMs: receivedAt - sentAt
+    }].slice(-MAX_SAMPLES);
+
+    const best = samples.reduce((a, b) => (b.roundTripMs < a.roundTripMs ? b : a));
+    offsetMs = best.offsetMs;
+    onSample?.(best);
+  });
+}
@@ -0,0 +1,191 @@
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const cors = require('cors');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const loadConfig = require('./config');
+const { createStore } = require('./storage');
+const { createSeedItems } = require('./storage/seed');
+const createItemLock = require('./itemLock');
+const createAuctionService = require('./auctionService');
+const createBidSubmission = require('./bidSubmission');
+const registerSocketHandlers = require('./sockets');
+const createAuctionsRouter = require('./routes/auctions');
+const createAdminAuctionsRouter = require('./routes/adminAuctions');
+const createAuthRouter = require('./routes/auth');
+const createBidsRouter = require('./routes/bids');
+const createWatchlistRouter = require('./routes/watchlist');
+const createOrdersRouter = require('./routes/orders');
+const { createSettlement } = require('./settlement');
+const { createPaymentProvider } = require('./payments');
+const startAuctionScheduler = require('./auctionScheduler');
+const toPublicItem = require('./publicItem');
+const createRateLimiter = require('./rateLimiter');
+const createConnectionLimiter = require('./connectionLimiter');
+const createClientIp = require('./clientIp');
+const asyncRoute = require('./middleware/asyncRoute');
+const { BidErrorCode, bidError, failureFor, httpStatusFor } = require('./bidErrors');
+const { createOriginCheck } = require('./origins');
+const { watchersRoom } = require('./rooms');
+
+/**
+ * Builds the HTTP server, socket.io server and everything behind them
+ * without listening, so tests can construct as many isolated servers as
+ * they need. index.js wires this to the environment.
+ *
+ * MULTI-INSTANCE MODE: with a Redis client, state lives in Redis, per-item
+ * work is also guarded by a Redis lock, and socket.io broadcasts fan out to
+ * every instance through the Redis adapter.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - From loadConfig(); defaults to the environment
+ * @param {import('ioredis').Redis|null} [options.redis] - Shared Redis (multi-instance mode)
+ * @param {Object} [options.store] - Auction store; defaults to createStore()
+ * @param {Function} [options.seed] - Catalogue for an empty store
+ * @param {Object} [options.payments] - Payment provider; defaults to the configured one
+ * @returns {Object} { app, server, io, store, auctions, settlement, payments, config, start, stop }
+ */
+function createApp({ config = loadConfig(), redis = null, store = createStore({ redis }), seed = createSeedItems, payments = createPaymentProvider({ provider: config.paymentProvider }) } = {}) {
+  const isAllowedOrigin = createOriginCheck(config.allowedOrigins);
+  const corsOrigin = (origin, callback) => callback(null, isAllowedOrigin(origin));
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketIo(server, {
+    cors: {
+      origin: corsOrigin,
+      methods: ['GET', 'POST']
+    },
+    // CORS headers don't stop WebSocket upgrades, so check the origin on every handshake
+    allowRequest: (req, callback) => callback(null, isAllowedOrigin(req.headers.origin))
+  });
+
+  app.use(cors({ origin: corsOrigin }));
+  app.use(express.json());
+
+  if (redis) {
+    io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+  }
+
+  // ============================================
+  // ABUSE PROTECTION
+  // ============================================
+  // Bids are rate limited per IP and per bidder on both transports, and
+  // socket connections are capped per IP and in total.
+  const clientIp = createClientIp(config.trustProxyHops);
+  const limiters = {
+    byIp: createRateLimiter({ limit: config.bidRateLimit.perIp, windowMs: config.bidRateLimit.windowMs }),
+    byUser: createRateLimiter({ limit: config.bidRateLimit.perUser, windowMs: config.bidRateLimit.windowMs })
+  };
+  const connectionLimiter = createConnectionLimiter(config.connections);
+
+  const withItemLock = createItemLock({ redis, keyPrefix: config.redisKeyPrefix });
+  const auctions = createAuctionService({ store, withItemLock, softClose: config.softClose });
+  const settlement = createSettlement({ store, io, withItemLock, payments, fees: config.fees, paymentWindowMs: config.paymentWindowMs });
+  const { submitBid } = createBidSubmission({ store, io, auctions, settlement, limiters, idempotencyTtlMs: config.idempotencyTtlMs });
+
+  // ============================================
+  // HTTP ROUTES
+  // ============================================
+  app.use('/api/auctions', createAuctionsRouter({ store, auctions }));
+
+  app.get('/items', asyncRoute(async (req, res) => {
+    res.json({ items: await auctions.getVisibleItems() });
+  }));
+
+  // Admin-only create/edit/cancel (Bearer ADMIN_TOKEN)
+  app.use('/api/auctions', createAdminAuctionsRouter({ store, io, withItemLock }));
+
+  // Registration, login and session lookup
+  app.use('/api/auth', createAuthRouter({ store }));
+
+  app.use('/api/bid', createBidsRouter({ submitBid, clientIp }));
+
+  // Lots each user follows; drives the watchers rooms used for alerts
+  app.use('/api/watchlist', createWatchlistRouter({ store, io }));
+
+  // Won lots awaiting payment, and paying them
+  app.use('/api/me/orders', createOrdersRouter({ settlement }));
+
+  // Failures the routes didn't handle (a body that isn't JSON, a store that
+  // can't be reached, a lost compare-and-set) still get a JSON reply in the
+  // shared error shape
+  app.use((err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    // Raised by express.json() before any route runs
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json(bidError(BidErrorCode.INVALID_REQUEST, 'Request body is not valid JSON'));
+    }
+
+    const failure = failureFor(err);
+    if (failure.code === BidErrorCode.INTERNAL) {
+      console.error(`[ERROR] ${req.method} ${req.originalUrl} failed:`, err);
+    }
+    res.status(httpStatusFor(failure.code)).json(failure);
+  });
+
+  registerSocketHandlers(io, { store, auctions, submitBid, connectionLimiter, clientIp });
+
+  let scheduler = null;
+
+  /**
+   * Seeds an empty store, starts opening and closing lots on schedule and listens.
+   *
+   * @param {number} [port] - Port to listen on (0 picks a free one)
+   * @returns {Promise<number>} The port actually bound
+   */
+  async function start(port = config.port) {
+    await store.init(seed);
+
+    // Opens and closes lots on schedule, announces each transition and
+    // bills the winners
+    scheduler = startAuctionScheduler({
+      store,
+      closeAuction: auctions.closeAuction,
+      onClosed: async (item) => {
+        console.log(`[CLOSE] Auction ${item.id} closed - winner: ${item.winningBidder || 'none'}`);
+        io.emit('auctionClosed', toPublicItem(item));
+        await settlement.settleLot(item.id);
+      },
+      openAuction: auctions.openAuction,
+      onOpened: (item) => {
+        console.log(`[OPEN] Auction ${item.id} opened - ends at ${new Date(item.auctionEndsAt).toISOString()}`);
+        io.emit('auctionOpened', toPublicItem(item));
+      },
+      endingSoonMs: config.endingSoonMs,
+      onEndingSoon: async (item) => {
+        // Every instance sweeps; the first to claim the alert sends it
+        const { reserved } = await store.reserveIdempotencyKey(`endingSoon:${item.id}:${item.auctionEndsAt}`, config.endingSoonMs);
+        if (!reserved) return;
+
+        io.to(watchersRoom(item.id)).emit('endingSoon', {
+          itemId: item.id,
+          title: item.title,
+          auctionEndsAt: item.auctionEndsAt
+        });
+      },
+      settleLot: settlement.settleLot,
+      expireOrders: settlement.expireOverdueOrders
+    });
+
+    await new Promise(resolve => server.listen(port, resolve));
+    return server.address().port;
+  }
+
+  /**
+   * Stops the scheduler and closes every socket and the HTTP server.
+   */
+  async function stop() {
+    scheduler?.stop();
+    limiters.byIp.stop();
+    limiters.byUser.stop();
+    await new Promise(resolve => io.close(() => resolve()));
+  }
+
+  return { app, server, io, store, auctions, settlement, payments, config, start, stop };
+}
+
+module.exports = createApp;
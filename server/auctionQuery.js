@@ -0,0 +1,148 @@
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('./money');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+const STATUSES = ['open', 'upcoming', 'closed'];
+
+/**
+ * Listing orders for GET /api/auctions?sort=...
+ * Lots without a usable value for the order keep their id order.
+ */
+const SORTS = {
+  // Catalogue order (lot id)
+  default: (a, b) => a.id - b.id,
+  // Running lots closest to their end first, then upcoming lots, finished lots last
+  ending_soon: (a, b) => rankOpen(a) - rankOpen(b) || a.auctionEndsAt - b.auctionEndsAt || a.id - b.id,
+  price_asc: (a, b) => a.currentBid - b.currentBid || a.id - b.id,
+  price_desc: (a, b) => b.currentBid - a.currentBid || a.id - b.id,
+  newest: (a, b) => b.id - a.id
+};
+
+const STATUS_RANK = { open: 0, upcoming: 1 };
+
+function rankOpen(item) {
+  return STATUS_RANK[item.status] ?? 2;
+}
+
+/**
+ * Validates listing query parameters.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ value: Object }|{ error: string }}
+ */
+function parseAuctionQuery(query) {
+  const value = { sort: 'default', page: 1, limit: DEFAULT_PAGE_SIZE };
+  const text = (key) => (typeof query[key] === 'string' ? query[key].trim() : '');
+
+  const q = text('q');
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  if (q) value.terms = q.toLowerCase().split(/\s+/);
+
+  const category = text('category');
+  if (category) value.category = category.toLowerCase();
+
+  const status = text('status');
+  if (status) {
+    if (!STATUSES.includes(status)) {
+      return { error: `status must be one of ${STATUSES.join(', ')}` };
+    }
+    value.status = status;
+  }
+
+  const currency = text('currency').toUpperCase();
+  if (currency) {
+    if (!isCurrencyCode(currency)) {
+      return { error: 'currency must be an ISO 4217 code' };
+    }
+    value.currency = currency;
+  }
+
+  // Minor units; only comparable between lots in the same currency
+  for (const key of ['minPrice', 'maxPrice']) {
+    const raw = text(key);
+    if (!raw) continue;
+    const price = Number(raw);
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    value[key] = price;
+  }
+  if (value.minPrice !== undefined && value.maxPrice !== undefined && value.minPrice > value.maxPrice) {
+    return { error: 'minPrice must not exceed maxPrice' };
+  }
+  if ((value.minPrice !== undefined || value.maxPrice !== undefined) && !value.currency) {
+    return { error: 'minPrice and maxPrice need a currency' };
+  }
+
+  const sort = text('sort');
+  if (sort) {
+    if (!SORTS[sort]) {
+      return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+    }
+    value.sort = sort;
+  }
+
+  for (const [key, max] of [['page', Infinity], ['limit', MAX_PAGE_SIZE]]) {
+    const raw = text(key);
+    if (!raw) continue;
+    const number = Number(raw);
+    if (!Number.isSafeInteger(number) || number < 1 || number > max) {
+      return { error: `${key} must be an integer from 1${max === Infinity ? '' : ` to ${max}`}` };
+    }
+    value[key] = number;
+  }
+
+  return { value };
+}
+
+/**
+ * Text a search term can match: title, description, category and tags.
+ */
+function searchableText(item) {
+  return [item.title, item.description, item.category, ...(item.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * Filters, sorts and pages public items.
+ *
+ * @param {Array<Object>} items - Visible public items
+ * @param {Object} query - From parseAuctionQuery()
+ * @returns {{ items: Array<Object>, total: number, page: number, limit: number, categories: Array<string>, currencies: Array<string> }}
+ */
+function queryAuctions(items, query) {
+  const matches = items.filter((item) => {
+    if (query.status && item.status !== query.status) return false;
+    if (query.category && (item.category || '').toLowerCase() !== query.category) return false;
+    if (query.currency && (item.currency || DEFAULT_CURRENCY) !== query.currency) return false;
+    if (query.minPrice !== undefined && item.currentBid < query.minPrice) return false;
+    if (query.maxPrice !== undefined && item.currentBid > query.maxPrice) return false;
+    if (query.terms) {
+      const text = searchableText(item);
+      return query.terms.every(term => text.includes(term));
+    }
+    return true;
+  });
+
+  matches.sort(SORTS[query.sort]);
+  const start = (query.page - 1) * query.limit;
+
+  return {
+    items: matches.slice(start, start + query.limit),
+    total: matches.length,
+    page: query.page,
+    limit: query.limit,
+    // Every category in the catalogue, for filter menus
+    categories: [...new Set(items.map(item => item.category).filter(Boolean))].sort(),
+    // Every currency lots are priced in, for the price filter
+    currencies: [...new Set(items.map(item => item.currency || DEFAULT_CURRENCY))].sort()
+  };
+}
+
+module.exports = { parseAuctionQuery, queryAuctions };
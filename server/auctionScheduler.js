@@ -0,0 +1,122 @@
+const DEFAULT_INTERVAL_MS = 1000;
+
+/**
+ * Periodically sweeps the store and closes every open lot whose end time
+ * has passed, then opens every upcoming lot that is due - at its start time,
+ * or once the lot it follows has finished. A sweep (rather than one timer per
+ * lot) picks up lots created, edited or restored from storage without any
+ * extra bookkeeping.
+ *
+ * The same sweep spots lots entering their last `endingSoonMs` and reports
+ * each once; a lot pushed back out of the window (e.g. an admin extending
+ * it) is reported again when it re-enters. Last, it settles closed lots whose
+ * winner never got an order (say the instance that closed them crashed
+ * first) and lapses winners' orders left unpaid past their payment window.
+ *
+ * Each lot is handled on its own: one that fails (a store error, a lock
+ * timeout) is logged and retried next sweep without holding up the rest.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {Function} deps.closeAuction - Closes one lot; resolves to the closed item or null
+ * @param {Function} deps.onClosed - Called (and awaited) with each item that was closed
+ * @param {Function} deps.openAuction - Opens one lot; resolves to the opened item or null
+ * @param {Function} deps.onOpened - Called with each item that was opened
+ * @param {number} [deps.endingSoonMs] - Ending-soon window; 0 disables it
+ * @param {Function} [deps.onEndingSoon] - Called with each lot entering the window
+ * @param {Function} [deps.settleLot] - Bills the winner of a closed, unsettled lot (see ./settlement)
+ * @param {Function} [deps.expireOrders] - Lapses overdue unpaid orders (see ./settlement)
+ * @param {number} [deps.intervalMs] - Sweep interval
+ * @returns {{ sweep: Function, stop: Function }}
+ */
+function startAuctionScheduler({ store, closeAuction, onClosed, openAuction, onOpened, endingSoonMs = 0, onEndingSoon, settleLot, expireOrders, intervalMs = DEFAULT_INTERVAL_MS }) {
+  let sweeping = false;
+  // Lots already reported as ending soon
+  const endingSoonIds = new Set();
+
+  /**
+   * Runs one lot's step of the sweep, logging a failure instead of throwing.
+   *
+   * @returns {Promise<*>} The task's result, or null if it failed
+   */
+  async function forLot(action, itemId, task) {
+    try {
+      return await task();
+    } catch (err) {
+      console.error(`[ERROR] Could not ${action} auction ${itemId}:`, err);
+      return null;
+    }
+  }
+
+  async function sweep() {
+    // Skip a tick rather than overlap with a slow sweep
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+      const now = Date.now();
+      const items = await store.getItems();
+      const due = items.filter(item => item.status === 'open' && item.auctionEndsAt <= now);
+
+      if (endingSoonMs > 0 && onEndingSoon) {
+        for (const item of items) {
+          const isEndingSoon = item.status === 'open' && item.auctionEndsAt > now && item.auctionEndsAt - now <= endingSoonMs;
+
+          if (!isEndingSoon) {
+            endingSoonIds.delete(item.id);
+          } else if (!endingSoonIds.has(item.id)) {
+            endingSoonIds.add(item.id);
+            await forLot('announce the end of', item.id, () => onEndingSoon(item));
+          }
+        }
+      }
+
+      const itemsById = new Map(items.map(item => [item.id, item]));
+
+      for (const item of due) {
+        const closed = await forLot('close', item.id, () => closeAuction(item.id));
+        if (closed) {
+          itemsById.set(closed.id, closed);
+          await forLot('announce the close of', closed.id, () => onClosed(closed));
+        }
+      }
+
+      // After closing, so a sequenced lot opens in the same sweep as the lot before it closes
+      const isFinished = (item) => !item || (item.status !== 'open' && item.status !== 'upcoming');
+      const startable = items.filter(item => item.status === 'upcoming' && (item.opensAfterItemId
+        ? isFinished(itemsById.get(item.opensAfterItemId))
+        : item.auctionStartsAt <= now));
+
+      for (const item of startable) {
+        const opened = await forLot('open', item.id, () => openAuction(item.id));
+        if (opened) onOpened(opened);
+      }
+
+      if (settleLot) {
+        // Lots closed this sweep were settled by onClosed
+        const unsettled = items.filter(item => item.status === 'closed' && item.winningBidderId && !item.settledAt);
+        for (const item of unsettled) {
+          await forLot('settle', item.id, () => settleLot(item.id));
+        }
+      }
+
+      if (expireOrders) {
+        await expireOrders(now);
+      }
+    } catch (err) {
+      console.error('[ERROR] Auction schedule sweep failed:', err);
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return {
+    sweep,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = startAuctionScheduler;
@@ -0,0 +1,293 @@
+const { getFormat } = require('./formats');
+const toPublicItem = require('./publicItem');
+const { VersionConflictError } = require('./storage/errors');
+const { BidErrorCode, bidError } = require('./bidErrors');
+
+// Number of latest bids carried in every bidUpdate for live feeds
+const RECENT_BIDS_IN_UPDATE = 5;
+
+/**
+ * A lot accepts bids only while it is open and its end time has not passed.
+ * The timestamp check matters because the closing sweep runs periodically,
+ * so a lot can be past its end time for a moment before it is marked closed.
+ * Opening has no such check: an upcoming lot takes bids once the scheduler
+ * has opened it and told every client.
+ *
+ * @param {Object} item - Auction item
+ * @returns {boolean}
+ */
+function isAcceptingBids(item) {
+  return item.status === 'open' && Date.now() < item.auctionEndsAt;
+}
+
+/**
+ * Refusal for a lot that is not taking bids, or null if it is.
+ *
+ * @param {Object} item - Auction item (not cancelled)
+ * @returns {Object|null}
+ */
+function checkBiddingWindow(item) {
+  if (item.status === 'upcoming') {
+    return bidError(BidErrorCode.AUCTION_NOT_STARTED, 'This auction has not started yet', { itemId: item.id, auctionStartsAt: item.auctionStartsAt });
+  }
+  if (!isAcceptingBids(item)) {
+    return bidError(BidErrorCode.AUCTION_CLOSED, 'This auction has closed', { itemId: item.id });
+  }
+  return null;
+}
+
+/**
+ * Auction rules on top of the store: listing, bidding and closing.
+ * Knows nothing about HTTP or sockets, so it can be driven directly in tests.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {Function} deps.withItemLock - Per-item critical section (see ./itemLock)
+ * @param {Object} deps.softClose - { windowMs, extensionMs }; 0 in either disables it
+ * @returns {{ getVisibleItems: Function, getLiveItems: Function, getResync: Function, placeBid: Function, openAuction: Function, closeAuction: Function, softCloseEnabled: boolean }}
+ */
+function createAuctionService({ store, withItemLock, softClose }) {
+  // ============================================
+  // ANTI-SNIPING - SOFT CLOSE
+  // ============================================
+  const softCloseEnabled = softClose.windowMs > 0 && softClose.extensionMs > 0;
+
+  /**
+   * Returns the lot's end time after applying the soft-close rule to a bid
+   * accepted at `now`.
+   *
+   * @param {number} auctionEndsAt - Current end time (ms)
+   * @param {number} now - Time the bid was accepted (ms)
+   * @returns {number} The (possibly extended) end time
+   */
+  function applySoftClose(auctionEndsAt, now) {
+    if (!softCloseEnabled) {
+      return auctionEndsAt;
+    }
+    return auctionEndsAt - now <= softClose.windowMs
+      ? auctionEndsAt + softClose.extensionMs
+      : auctionEndsAt;
+  }
+
+  /**
+   * Items bidders can see. Cancelled lots stay in the store for the record
+   * but are hidden from every listing.
+   *
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getVisibleItems() {
+    const items = await store.getItems();
+    return items.filter(item => item.status !== 'cancelled').map(toPublicItem);
+  }
+
+  /**
+   * Latest bids for a live feed; empty while the lot's format keeps them secret.
+   */
+  async function getRecentBids(item) {
+    return getFormat(item).hidesBids(item) ? [] : store.getBids(item.id, { limit: RECENT_BIDS_IN_UPDATE });
+  }
+
+  /**
+   * Attaches each item's latest bids, matching the bidUpdate payload.
+   */
+  function withRecentBids(items) {
+    return Promise.all(items.map(async item => ({
+      ...item,
+      recentBids: await getRecentBids(item)
+    })));
+  }
+
+  /**
+   * Current state of the given visible lots in bidUpdate form, for a client
+   * that starts following them.
+   *
+   * @param {number[]} itemIds - Lots to load
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getLiveItems(itemIds) {
+    const wanted = new Set(itemIds);
+    const items = await getVisibleItems();
+    return withRecentBids(items.filter(item => wanted.has(item.id)));
+  }
+
+  /**
+   * What a reconnecting client missed, given the item versions it last saw:
+   * the current state of every lot that changed or appeared since (with its
+   * latest bids, like a bidUpdate) and the ids of lots that went away.
+   *
+   * @param {Object<string, number>} lastSeen - Item id -> last version seen
+   * @returns {Promise<{ items: Array<Object>, removedIds: Array<number> }>}
+   */
+  async function getResync(lastSeen) {
+    const items = await getVisibleItems();
+    const changed = items.filter(item => !(item.version <= lastSeen[item.id]));
+    const visibleIds = new Set(items.map(item => String(item.id)));
+
+    return {
+      items: await withRecentBids(changed),
+      removedIds: Object.keys(lastSeen).filter(id => !visibleIds.has(id)).map(Number)
+    };
+  }
+
+  /**
+   * Handles bid placement with per-item queueing for race condition protection.
+   * Bids on the same lot are processed one at a time in arrival order.
+   * Expects a request already checked by validateBidRequest() (see ./bidSubmission).
+   * The lot's format (see ./formats) decides whether the bid is acceptable
+   * and what it does; a bid that wins the lot outright closes it.
+   *
+   * @param {number} itemId - The auction item ID
+   * @param {number} [newBid] - The proposed bid amount (optional with `accept`)
+   * @param {Object} bidder - Authenticated user placing the bid ({ id, username })
+   * @param {number} [maxAmount] - Private ceiling for automatic (proxy) bidding
+   * @param {Object} [options]
+   * @param {boolean} [options.buyNow] - Buy the lot at its Buy-It-Now price
+   * @param {boolean} [options.accept] - Take a Dutch lot at its current price
+   * @returns {Promise<Object>} Result with success/error
+   */
+  async function placeBid(itemId, newBid, bidder, maxAmount, { buyNow = false, accept = false } = {}) {
+    const bid = { bidderId: bidder.id, bidderName: bidder.username, amount: newBid, maxAmount, buyNow, accept };
+
+    // Pre-check: cheap rejections before joining the item's queue
+    const item = await store.getItem(itemId);
+
+    if (!item || item.status === 'cancelled') {
+      return bidError(BidErrorCode.ITEM_NOT_FOUND, 'Item not found', { itemId });
+    }
+
+    const refusal = checkBiddingWindow(item) || getFormat(item).checkBid(item, bid, Date.now());
+    if (refusal) {
+      return refusal;
+    }
+
+    // Critical Section: queue behind other work on this item for atomic processing
+    return withItemLock(itemId, async () => {
+      // Re-fetch item inside the queue for atomic operations
+      const lockedItem = await store.getItem(itemId);
+
+      // The lot may have been cancelled while this bid waited in the queue
+      if (lockedItem.status === 'cancelled') {
+        return bidError(BidErrorCode.ITEM_NOT_FOUND, 'Item not found', { itemId });
+      }
+
+      // Re-check closing inside the queue: the end time may have passed while waiting
+      const closedRefusal = checkBiddingWindow(lockedItem);
+      if (closedRefusal) {
+        return closedRefusal;
+      }
+
+      /**
+       * CRITICAL: Validation must occur inside the queue to prevent race conditions.
+       * Without it, two simultaneous requests could both pass validation
+       * before either updates the state, resulting in an invalid final bid.
+       * This also catches an earlier bid from the same user that just landed.
+       */
+      const format = getFormat(lockedItem);
+      const placedAt = Date.now();
+      const lockedRefusal = format.checkBid(lockedItem, bid, placedAt);
+      if (lockedRefusal) {
+        return lockedRefusal;
+      }
+
+      // Atomic state update
+      const previousLeaderId = lockedItem.highestBidderId;
+      const outcome = format.applyBid(lockedItem, bid, placedAt);
+      if (format.softClose && !outcome.closed) {
+        outcome.item.auctionEndsAt = applySoftClose(outcome.item.auctionEndsAt, placedAt);
+      }
+
+      let savedItem;
+      try {
+        savedItem = await store.saveItem(outcome.item);
+      } catch (err) {
+        // Compare-and-set backstop: another instance changed the lot under us
+        if (err instanceof VersionConflictError) {
+          return bidError(BidErrorCode.CONFLICT, 'The auction changed while your bid was processed - please try again', { itemId });
+        }
+        throw err;
+      }
+
+      for (const entry of outcome.bids) {
+        await store.appendBid({ itemId, ...entry, placedAt });
+      }
+
+      return {
+        success: true,
+        item: toPublicItem(savedItem),
+        recentBids: await getRecentBids(savedItem),
+        outbidByProxy: outcome.outbidByProxy,
+        previousLeaderId,
+        closed: outcome.closed
+      };
+    });
+  }
+
+  /**
+   * Opens an upcoming lot once it is due: at its `auctionStartsAt`, or - for
+   * a sequenced lot - once the lot it follows has closed or been cancelled.
+   * A sequenced lot runs for its `durationMs` from the moment it opens.
+   *
+   * @param {number} itemId - The auction item ID
+   * @returns {Promise<Object|null>} The opened item, or null if nothing changed
+   */
+  async function openAuction(itemId) {
+    return withItemLock(itemId, async () => {
+      const item = await store.getItem(itemId);
+
+      if (!item || item.status !== 'upcoming') {
+        return null;
+      }
+
+      const now = Date.now();
+      const schedule = {};
+
+      if (item.opensAfterItemId) {
+        const previous = await store.getItem(item.opensAfterItemId);
+        if (previous && (previous.status === 'open' || previous.status === 'upcoming')) {
+          return null;
+        }
+        schedule.auctionStartsAt = now;
+        schedule.auctionEndsAt = now + item.durationMs;
+      } else if (now < item.auctionStartsAt) {
+        return null;
+      }
+
+      return await store.saveItem({
+        ...item,
+        ...schedule,
+        ...getFormat(item).open(item, now),
+        status: 'open'
+      });
+    });
+  }
+
+  /**
+   * Closes a lot whose end time has passed and records the winner.
+   * Runs in the item's queue so a bid in flight either lands before the close
+   * or is rejected after it - never both.
+   *
+   * @param {number} itemId - The auction item ID
+   * @returns {Promise<Object|null>} The closed item, or null if nothing changed
+   */
+  async function closeAuction(itemId) {
+    return withItemLock(itemId, async () => {
+      const item = await store.getItem(itemId);
+
+      if (!item || item.status !== 'open' || Date.now() < item.auctionEndsAt) {
+        return null;
+      }
+
+      // The format picks the winner (or none, e.g. below a hidden reserve)
+      return await store.saveItem({
+        ...item,
+        ...getFormat(item).settle(item),
+        status: 'closed',
+        closedAt: Date.now()
+      });
+    });
+  }
+
+  return { getVisibleItems, getLiveItems, getResync, placeBid, openAuction, closeAuction, softCloseEnabled };
+}
+
+module.exports = createAuctionService;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL = '7d';
+const KEY_LENGTH = 64;
+
+/**
+ * Secret used to sign session tokens. Without JWT_SECRET a random one is
+ * generated, which works for local development but logs everyone out on
+ * every restart.
+ */
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('[WARN] JWT_SECRET not set - using a random secret, sessions will not survive restarts');
+}
+
+/**
+ * Hashes a password with a per-user random salt (scrypt).
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "salt:hash", both hex encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored "salt:hash" in constant time.
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Value produced by hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [salt, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Issues a session token for a user.
+ *
+ * @param {Object} user - { id, username }
+ * @returns {string} Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign({ sub: user.id, username: user.username }, JWT_SECRET, { expiresIn: TOKEN_TTL });
+}
+
+/**
+ * Verifies a session token.
+ *
+ * @param {string} token - JWT from the client
+ * @returns {Object|null} { id, username }, or null if invalid or expired
+ */
+function verifyToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, username: payload.username };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken };
@@ -0,0 +1,83 @@
+const { VersionConflictError } = require('./storage/errors');
+const { LockTimeoutError } = require('./redisLock');
+
+/**
+ * Machine-readable reasons a bid can be refused. Both transports send these
+ * as `code` alongside a human-readable `error`, so clients can branch on the
+ * code and never have to parse messages.
+ */
+const BidErrorCode = Object.freeze({
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  AUCTION_NOT_STARTED: 'AUCTION_NOT_STARTED',
+  AUCTION_CLOSED: 'AUCTION_CLOSED',
+  SELF_OUTBID: 'SELF_OUTBID',
+  BID_TOO_LOW: 'BID_TOO_LOW',
+  MAX_BELOW_BID: 'MAX_BELOW_BID',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  BID_PENDING: 'BID_PENDING',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  BUY_NOW_UNAVAILABLE: 'BUY_NOW_UNAVAILABLE',
+  UNAVAILABLE: 'UNAVAILABLE',
+  INTERNAL: 'INTERNAL'
+});
+
+/**
+ * HTTP status used by POST /api/bid for each code.
+ */
+const HTTP_STATUS = Object.freeze({
+  INVALID_REQUEST: 400,
+  UNAUTHENTICATED: 401,
+  ITEM_NOT_FOUND: 404,
+  AUCTION_NOT_STARTED: 409,
+  AUCTION_CLOSED: 409,
+  SELF_OUTBID: 409,
+  BID_TOO_LOW: 422,
+  MAX_BELOW_BID: 422,
+  CONFLICT: 409,
+  RATE_LIMITED: 429,
+  BID_PENDING: 409,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  BUY_NOW_UNAVAILABLE: 409,
+  UNAVAILABLE: 503,
+  INTERNAL: 500
+});
+
+/**
+ * Builds a failed bid result.
+ *
+ * @param {string} code - One of BidErrorCode
+ * @param {string} message - Human-readable explanation
+ * @param {Object} [details] - Extra fields for the client (itemId, minimumBid, field, retryAfterMs...)
+ * @returns {{ success: false, code: string, error: string }}
+ */
+function bidError(code, message, details = {}) {
+  return { success: false, code, error: message, ...details };
+}
+
+function httpStatusFor(code) {
+  return HTTP_STATUS[code] || 400;
+}
+
+/**
+ * Typed reply for an exception that escaped a request. Contention between
+ * instances (a lost compare-and-set, a lot lock held too long) is worth a
+ * retry; anything else is our failure.
+ *
+ * @param {Error} err - What was thrown
+ * @param {Object} [details] - Extra fields for the client (itemId...)
+ * @returns {{ success: false, code: string, error: string }}
+ */
+function failureFor(err, details) {
+  if (err instanceof VersionConflictError) {
+    return bidError(BidErrorCode.CONFLICT, 'The auction changed while your request was processed - please try again', details);
+  }
+  if (err instanceof LockTimeoutError) {
+    return bidError(BidErrorCode.UNAVAILABLE, 'The auction is busy - please try again', details);
+  }
+  return bidError(BidErrorCode.INTERNAL, 'Something went wrong - please try again', details);
+}
+
+module.exports = { BidErrorCode, bidError, httpStatusFor, failureFor };
@@ -0,0 +1,86 @@
+const { BidErrorCode, bidError } = require('./bidErrors');
+const { isMinorAmount } = require('./money');
+
+// Far above any real lot (in minor units); keeps absurd numbers out of the bid log
+const MAX_AMOUNT = 1e11;
+
+/**
+ * Schema for a bid request, shared by POST /api/bid and the placeBid socket
+ * event. Identity never comes from the payload - it comes from the session.
+ */
+const BID_REQUEST_SCHEMA = {
+  itemId: { required: true, check: isPositiveInteger, expected: 'a positive integer' },
+  // Optional only with `accept`, where it caps the price the bidder will pay
+  amount: { required: false, check: isValidAmount, expected: `a whole number of minor units (e.g. cents) from 1 to ${MAX_AMOUNT}` },
+  maxAmount: { required: false, check: isValidAmount, expected: `a whole number of minor units (e.g. cents) from 1 to ${MAX_AMOUNT}` },
+  // Buy the lot outright at its Buy-It-Now price (amount must cover it)
+  buyNow: { required: false, check: value => typeof value === 'boolean', expected: 'a boolean' },
+  // Take a Dutch lot at whatever its price is when the server gets the bid,
+  // so a client clock running fast or slow can't make the acceptance miss
+  accept: { required: false, check: value => typeof value === 'boolean', expected: 'a boolean' },
+  idempotencyKey: { required: false, check: isIdempotencyKey, expected: '1-128 letters, digits, dashes, underscores, dots or colons' }
+};
+
+function isPositiveInteger(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+// Fractions of a minor unit (sub-cent bids) are refused, never rounded
+function isValidAmount(value) {
+  return isMinorAmount(value) && value <= MAX_AMOUNT;
+}
+
+// Client-chosen id for one bid attempt (a UUID in practice); retries reuse it
+function isIdempotencyKey(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(value);
+}
+
+/**
+ * Validates a raw bid payload against the schema. Types are checked
+ * strictly - "5" is not 5 - so mistakes surface as errors instead of
+ * silently failing lookups.
+ *
+ * @param {*} payload - Request body or socket event data
+ * @returns {{ value: Object }|{ error: Object }} Normalized request, or an INVALID_REQUEST bid error
+ */
+function validateBidRequest(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: bidError(BidErrorCode.INVALID_REQUEST, 'Bid request must be a JSON object') };
+  }
+
+  const value = {};
+
+  for (const [field, rule] of Object.entries(BID_REQUEST_SCHEMA)) {
+    const raw = payload[field];
+
+    if (raw === undefined || raw === null) {
+      if (rule.required) {
+        return { error: bidError(BidErrorCode.INVALID_REQUEST, `${field} is required`, { field }) };
+      }
+      continue;
+    }
+
+    if (!rule.check(raw)) {
+      return { error: bidError(BidErrorCode.INVALID_REQUEST, `${field} must be ${rule.expected}`, { field }) };
+    }
+
+    value[field] = raw;
+  }
+
+  if (value.amount === undefined && !value.accept) {
+    return { error: bidError(BidErrorCode.INVALID_REQUEST, 'amount is required', { field: 'amount' }) };
+  }
+
+  if (value.maxAmount !== undefined && value.maxAmount < value.amount) {
+    return {
+      error: bidError(BidErrorCode.MAX_BELOW_BID, 'Maximum bid must be at least your bid amount', {
+        field: 'maxAmount',
+        itemId: value.itemId
+      })
+    };
+  }
+
+  return { value };
+}
+
+module.exports = { validateBidRequest };
@@ -0,0 +1,89 @@
+/**
+ * Price-banded minimum increments used when an item has no table of its own.
+ * Each band applies while the current price is below `upTo`; the last band
+ * (upTo: null) covers everything above. Amounts are minor units (see ./money).
+ */
+const { isMinorAmount } = require('./money');
+
+const DEFAULT_INCREMENT_TABLE = [
+  { upTo: 10000, increment: 500 },
+  { upTo: 100000, increment: 1000 },
+  { upTo: 500000, increment: 5000 },
+  { upTo: null, increment: 10000 }
+];
+
+/**
+ * Minimum raise over `price` for this item.
+ *
+ * @param {Object} item - Auction item (may carry its own incrementTable)
+ * @param {number} price - Price the raise is measured from
+ * @returns {number}
+ */
+function getIncrement(item, price) {
+  const table = item.incrementTable || DEFAULT_INCREMENT_TABLE;
+  const band = table.find(row => row.upTo === null || price < row.upTo);
+  return band.increment;
+}
+
+/**
+ * Lowest bid the item will currently accept. The opening bid may equal the
+ * starting price; after that every bid must beat the current one by the
+ * band's increment.
+ *
+ * @param {Object} item - Auction item
+ * @returns {number}
+ */
+function getMinimumBid(item) {
+  if (!item.highestBidderId) {
+    return item.startingPrice ?? item.currentBid;
+  }
+  return item.currentBid + getIncrement(item, item.currentBid);
+}
+
+/**
+ * Whether the hidden reserve (if any) has been reached by a real bid.
+ *
+ * @param {Object} item - Auction item
+ * @returns {boolean}
+ */
+function isReserveMet(item) {
+  if (!item.reservePrice) return true;
+  return Boolean(item.highestBidderId) && item.currentBid >= item.reservePrice;
+}
+
+/**
+ * Checks an admin-supplied increment table.
+ *
+ * @param {*} table - Candidate table
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateIncrementTable(table) {
+  if (!Array.isArray(table) || table.length === 0) {
+    return 'incrementTable must be a non-empty array';
+  }
+
+  for (let i = 0; i < table.length; i++) {
+    const { upTo, increment } = table[i] || {};
+    const isLast = i === table.length - 1;
+
+    if (!isMinorAmount(increment)) {
+      return 'incrementTable increments must be positive whole minor units';
+    }
+    if (isLast ? upTo !== null : !isMinorAmount(upTo)) {
+      return 'incrementTable bands need upTo values in whole minor units, with upTo: null on the last band';
+    }
+    if (i > 0 && !isLast && upTo <= table[i - 1].upTo) {
+      return 'incrementTable bands must be in ascending order of upTo';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_INCREMENT_TABLE,
+  getIncrement,
+  getMinimumBid,
+  isReserveMet,
+  validateIncrementTable
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { BidErrorCode, bidError } = require('./bidErrors');
+const { validateBidRequest } = require('./bidRequest');
+const { userRoom, itemRoom } = require('./rooms');
+
+/**
+ * The part of a lot that changes with a bid: enough for a grid card to stay
+ * current without the full item or its bid feed.
+ *
+ * @param {Object} item - Public item
+ * @returns {Object}
+ */
+function toBidSummary(item) {
+  return {
+    id: item.id,
+    version: item.version,
+    currentBid: item.currentBid,
+    minimumBid: item.minimumBid,
+    bidIncrement: item.bidIncrement,
+    highestBidder: item.highestBidder,
+    highestBidderId: item.highestBidderId,
+    reserveMet: item.reserveMet,
+    auctionEndsAt: item.auctionEndsAt,
+    // Sealed lots show how many bids are in, never their amounts
+    bidCount: item.bidCount
+  };
+}
+
+/**
+ * Digest of what a bid asks for. It is stored with the bid's idempotency
+ * key, so a key can only ever be replayed for the bid it was first sent with.
+ *
+ * @param {Object} request - Validated bid request
+ * @returns {string}
+ */
+function bidFingerprint({ itemId, amount, maxAmount, buyNow, accept }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([itemId, amount ?? null, maxAmount ?? null, Boolean(buyNow), Boolean(accept)]))
+    .digest('hex');
+}
+
+/**
+ * Request layer shared by both bid transports (POST /api/bid and the
+ * `placeBid` socket event).
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {import('socket.io').Server} deps.io - Socket.io server for broadcasts
+ * @param {Object} deps.auctions - Auction service (see ./auctionService)
+ * @param {Object} deps.settlement - Creates the winner's order for a lot a bid closed (see ./settlement)
+ * @param {Object} deps.limiters - { byIp, byUser } rate limiters (see ./rateLimiter)
+ * @param {number} deps.idempotencyTtlMs - How long bid outcomes are kept for retries
+ * @returns {{ submitBid: Function }}
+ */
+function createBidSubmission({ store, io, auctions, settlement, limiters, idempotencyTtlMs }) {
+  /**
+   * Fans an accepted bid out: a summary for everyone, the full update for
+   * sessions viewing the lot, a fresh participation list for the bidder's
+   * own sessions, and an outbid alert for whoever just lost the lead.
+   * A bid that won the lot outright (Buy It Now, a Dutch acceptance) also
+   * announces the close and settles it, as the scheduler would.
+   *
+   * @param {Object} result - Successful placeBid() result
+   * @param {Object} bidder - { id, username }
+   */
+  async function announceBid(result, bidder) {
+    const { item, recentBids, previousLeaderId, closed } = result;
+
+    io.emit('bidSummary', toBidSummary(item));
+    io.to(itemRoom(item.id)).emit('bidUpdate', { ...item, recentBids });
+
+    if (closed) {
+      console.log(`[CLOSE] Auction ${item.id} closed - winner: ${item.winningBidder || 'none'}`);
+      io.emit('auctionClosed', item);
+      // The bid stands either way; the scheduler's sweep retries the settlement
+      await settlement.settleLot(item.id).catch(err => {
+        console.error(`[ERROR] Settling auction ${item.id} failed:`, err);
+      });
+    }
+
+    io.to(userRoom(bidder.id)).emit('bidderState', {
+      itemIds: await store.getBidderItemIds(bidder.id)
+    });
+
+    if (previousLeaderId && previousLeaderId !== item.highestBidderId) {
+      io.to(userRoom(previousLeaderId)).emit('outbid', {
+        itemId: item.id,
+        title: item.title,
+        currentBid: item.currentBid,
+        currency: item.currency
+      });
+    }
+  }
+
+  // Outcomes that say "try again" rather than what happened to the bid;
+  // their idempotency keys are freed so the retry actually runs
+  const RETRYABLE_CODES = new Set([BidErrorCode.RATE_LIMITED, BidErrorCode.CONFLICT]);
+
+  // Keyed requests running on this instance, so a duplicate that arrives
+  // mid-flight (e.g. a retry after a reconnect) shares the original's outcome
+  const inFlight = new Map();
+
+  /**
+   * Applies the rate limits, schema-validates the raw payload, places the
+   * bid and announces it. Failures come back as
+   * `{ success: false, code, error, ... }` with a BidErrorCode.
+   *
+   * A payload with an `idempotencyKey` is placed at most once per user and
+   * key; repeats get the first outcome back, flagged `replayed: true`. A
+   * repeat for a different bid is refused with IDEMPOTENCY_KEY_REUSED.
+   *
+   * @param {*} payload - Request body or socket event data
+   * @param {Object|null} user - Authenticated bidder, if any
+   * @param {string} ip - Client address, for per-IP limits
+   * @returns {Promise<Object>} placeBid() result
+   */
+  async function submitBid(payload, user, ip) {
+    const itemId = payload?.itemId;
+
+    const byIp = limiters.byIp.consume(ip);
+    if (!byIp.allowed) {
+      return bidError(BidErrorCode.RATE_LIMITED, 'Too many bids from your network - please slow down', { itemId, retryAfterMs: byIp.retryAfterMs });
+    }
+
+    if (!user) {
+      return bidError(BidErrorCode.UNAUTHENTICATED, 'Please log in to place bids', { itemId });
+    }
+
+    const { value, error } = validateBidRequest(payload);
+    if (error) {
+      return error;
+    }
+
+    if (!value.idempotencyKey) {
+      return placeAndAnnounce(value, user);
+    }
+    return submitOnce(`${user.id}:${value.idempotencyKey}`, value.itemId, bidFingerprint(value), () => placeAndAnnounce(value, user));
+  }
+
+  async function placeAndAnnounce(request, user) {
+    const byUser = limiters.byUser.consume(user.id);
+    if (!byUser.allowed) {
+      return bidError(BidErrorCode.RATE_LIMITED, 'You are bidding too quickly - please slow down', { itemId: request.itemId, retryAfterMs: byUser.retryAfterMs });
+    }
+
+    const result = await auctions.placeBid(request.itemId, request.amount, user, request.maxAmount, { buyNow: request.buyNow, accept: request.accept });
+
+    if (result.success) {
+      // The bid stands whether or not the broadcast gets out, and its outcome
+      // must be the one kept for the idempotency key
+      await announceBid(result, user).catch(err => {
+        console.error(`[ERROR] Announcing bid on auction ${request.itemId} failed:`, err);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Runs `run` once per idempotency key. Keys are claimed in the store, so
+   * with the redis store a retry that lands on another instance is caught too.
+   *
+   * @param {string} key - User-scoped idempotency key
+   * @param {number} itemId - Lot being bid on
+   * @param {string} fingerprint - bidFingerprint() of the request
+   * @param {Function} run - Places the bid
+   * @returns {Promise<Object>} The bid outcome
+   */
+  function submitOnce(key, itemId, fingerprint, run) {
+    const running = inFlight.get(key);
+    if (running) {
+      return running.fingerprint === fingerprint
+        ? running.attempt.then(markReplayed)
+        : Promise.resolve(keyReused(itemId));
+    }
+
+    const attempt = claimAndRun(key, itemId, fingerprint, run).finally(() => inFlight.delete(key));
+    inFlight.set(key, { fingerprint, attempt });
+    return attempt;
+  }
+
+  async function claimAndRun(key, itemId, fingerprint, run) {
+    const { reserved, result, fingerprint: claimedFor } = await store.reserveIdempotencyKey(key, idempotencyTtlMs, fingerprint);
+
+    if (!reserved) {
+      if (claimedFor !== fingerprint) {
+        return keyReused(itemId);
+      }
+      // Claimed by a request still running on another instance (or finished)
+      return result
+        ? markReplayed(result)
+        : bidError(BidErrorCode.BID_PENDING, 'This bid is still being processed', { itemId });
+    }
+
+    let outcome;
+    try {
+      outcome = await run();
+    } catch (err) {
+      await store.releaseIdempotencyKey(key);
+      throw err;
+    }
+
+    if (RETRYABLE_CODES.has(outcome.code)) {
+      await store.releaseIdempotencyKey(key);
+    } else {
+      await store.saveIdempotencyResult(key, outcome, idempotencyTtlMs, fingerprint);
+    }
+    return outcome;
+  }
+
+  return { submitBid };
+}
+
+function keyReused(itemId) {
+  return bidError(BidErrorCode.IDEMPOTENCY_KEY_REUSED, 'This idempotency key was already used for a different bid', { itemId });
+}
+
+function markReplayed(result) {
+  return { ...result, replayed: true };
+}
+
+module.exports = createBidSubmission;
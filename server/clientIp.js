@@ -0,0 +1,22 @@
+/**
+ * Builds the client-address lookup used for per-IP limits.
+ *
+ * @param {number} trustProxyHops - Reverse proxies in front of the server
+ *   (load balancer, Render...) whose X-Forwarded-For entries are trusted
+ * @returns {Function} (req) => string, for HTTP and socket.io handshake requests
+ */
+function createClientIp(trustProxyHops = 0) {
+  return function clientIp(req) {
+    if (trustProxyHops > 0) {
+      const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean);
+      const hop = forwarded[forwarded.length - trustProxyHops];
+      if (hop) return hop;
+    }
+    return req.socket.remoteAddress;
+  };
+}
+
+module.exports = createClientIp;
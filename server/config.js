@@ -0,0 +1,51 @@
+const { parseAllowedOrigins } = require('./origins');
+
+/**
+ * Reads server settings from the environment. Tests build their own config
+ * by passing a plain object instead of process.env.
+ *
+ * Limits set to 0 are disabled (see README "Abuse Protection").
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Server configuration
+ */
+function loadConfig(env = process.env) {
+  return {
+    port: Number(env.PORT || 3001),
+    redisUrl: env.REDIS_URL || null,
+    redisKeyPrefix: env.REDIS_KEY_PREFIX || 'auction:',
+
+    // Anti-sniping: a bid within windowMs of the end pushes the end out by extensionMs
+    softClose: {
+      windowMs: Number(env.SOFT_CLOSE_WINDOW_SECONDS ?? 30) * 1000,
+      extensionMs: Number(env.SOFT_CLOSE_EXTENSION_SECONDS ?? 30) * 1000
+    },
+
+    allowedOrigins: parseAllowedOrigins(env.ALLOWED_ORIGINS || undefined),
+    bidRateLimit: {
+      windowMs: Number(env.BID_RATE_WINDOW_SECONDS ?? 10) * 1000,
+      perIp: Number(env.BID_RATE_LIMIT_PER_IP ?? 30),
+      perUser: Number(env.BID_RATE_LIMIT_PER_USER ?? 10)
+    },
+    connections: {
+      maxPerIp: Number(env.MAX_CONNECTIONS_PER_IP ?? 20),
+      maxTotal: Number(env.MAX_CONNECTIONS ?? 5000)
+    },
+    // Watchers get an endingSoon alert this long before a lot closes
+    endingSoonMs: Number(env.ENDING_SOON_SECONDS ?? 300) * 1000,
+    // How long a bid's idempotency key and outcome are remembered for retries
+    idempotencyTtlMs: Number(env.IDEMPOTENCY_TTL_SECONDS ?? 600) * 1000,
+    // Reverse proxies in front of the server whose X-Forwarded-For is trusted
+    trustProxyHops: Number(env.TRUST_PROXY_HOPS || 0),
+
+    // Settlement: what a winner owes on top of the hammer price, and how long they have to pay
+    fees: {
+      buyersPremiumPercent: Number(env.BUYERS_PREMIUM_PERCENT ?? 0),
+      salesTaxPercent: Number(env.SALES_TAX_PERCENT ?? 0)
+    },
+    paymentWindowMs: Number(env.PAYMENT_WINDOW_SECONDS ?? 172800) * 1000,
+    paymentProvider: env.PAYMENT_PROVIDER || 'fake'
+  };
+}
+
+module.exports = loadConfig;
@@ -0,0 +1,53 @@
+/**
+ * Caps concurrent socket connections per IP and per server process.
+ *
+ * @param {Object} options
+ * @param {number} options.maxPerIp - Open sockets allowed from one IP (0 = unlimited)
+ * @param {number} options.maxTotal - Open sockets allowed in total (0 = unlimited)
+ * @returns {{ acquire: Function, release: Function, count: Function }}
+ */
+function createConnectionLimiter({ maxPerIp, maxTotal }) {
+  const perIp = new Map();
+  let total = 0;
+
+  /**
+   * Reserves a slot for a new connection from `ip`.
+   *
+   * @param {string} ip - Client address
+   * @returns {boolean} false when a cap has been reached
+   */
+  function acquire(ip) {
+    const fromIp = perIp.get(ip) || 0;
+
+    if ((maxTotal > 0 && total >= maxTotal) || (maxPerIp > 0 && fromIp >= maxPerIp)) {
+      return false;
+    }
+
+    perIp.set(ip, fromIp + 1);
+    total++;
+    return true;
+  }
+
+  /**
+   * Frees the slot taken by acquire() once the connection closes.
+   *
+   * @param {string} ip - Client address
+   */
+  function release(ip) {
+    const fromIp = perIp.get(ip) || 0;
+    if (fromIp <= 1) {
+      perIp.delete(ip);
+    } else {
+      perIp.set(ip, fromIp - 1);
+    }
+    total = Math.max(total - 1, 0);
+  }
+
+  function count(ip) {
+    return ip === undefined ? total : perIp.get(ip) || 0;
+  }
+
+  return { acquire, release, count };
+}
+
+module.exports = createConnectionLimiter;
@@ -0,0 +1,105 @@
+const { BidErrorCode, bidError } = require('../bidErrors');
+const { formatMoney } = require('../money');
+
+/**
+ * Dutch (descending) auction: the price starts at `startingPrice` and drops
+ * by `dutch.decrement` every `dutch.intervalMs` from `dutch.startsAt` until it
+ * reaches `dutch.floorPrice`. The first bidder to accept the current price
+ * wins the lot outright; nobody accepting by the end time means no sale.
+ * The schedule starts over when an upcoming lot opens.
+ */
+
+/**
+ * Asking price at `now`. Worked out from the schedule rather than stored,
+ * so no timer has to rewrite the lot on every drop.
+ *
+ * @param {Object} item - Dutch auction item
+ * @param {number} now - Timestamp (ms)
+ * @returns {number}
+ */
+function getDutchPrice(item, now) {
+  const { floorPrice, decrement, intervalMs, startsAt } = item.dutch;
+  const drops = Math.max(Math.floor((now - startsAt) / intervalMs), 0);
+  return Math.max(item.startingPrice - drops * decrement, floorPrice);
+}
+
+function checkBid(item, bid, now) {
+  const itemId = item.id;
+
+  if (bid.buyNow) {
+    return bidError(BidErrorCode.BUY_NOW_UNAVAILABLE, 'Buy It Now is not available for this lot', { itemId });
+  }
+
+  if (bid.maxAmount !== undefined) {
+    return bidError(BidErrorCode.INVALID_REQUEST, 'Dutch auctions cannot set a maximum bid', { itemId, field: 'maxAmount' });
+  }
+
+  // An accept without an amount takes the price as it stands now
+  const price = getDutchPrice(item, now);
+  if (bid.amount !== undefined && bid.amount < price) {
+    return bidError(BidErrorCode.BID_TOO_LOW, `The current price is ${formatMoney(price, item.currency)}`, { itemId, minimumBid: price });
+  }
+
+  return null;
+}
+
+function applyBid(item, bid, now) {
+  const { bidderId, bidderName } = bid;
+  // Accepting at or above the asking price always pays the asking price
+  const price = getDutchPrice(item, now);
+
+  return {
+    item: {
+      ...item,
+      currentBid: price,
+      highestBidderId: bidderId,
+      highestBidder: bidderName,
+      status: 'closed',
+      closedAt: now,
+      winningBidderId: bidderId,
+      winningBidder: bidderName,
+      winningBid: price
+    },
+    bids: [{ bidderId, bidderName, amount: price, auto: false }],
+    outbidByProxy: false,
+    closed: true
+  };
+}
+
+function open(item, now) {
+  return { dutch: { ...item.dutch, startsAt: now } };
+}
+
+function settle() {
+  return { winningBidderId: null, winningBidder: null, winningBid: null };
+}
+
+function toPublic(item, now) {
+  // Not falling yet (upcoming) or no longer (closed)
+  if (item.status !== 'open') {
+    return { minimumBid: item.currentBid, bidIncrement: item.dutch.decrement, reserveMet: true, nextPriceDropAt: null };
+  }
+
+  const price = getDutchPrice(item, now);
+  const { floorPrice, intervalMs, startsAt } = item.dutch;
+  const drops = Math.max(Math.floor((now - startsAt) / intervalMs), 0);
+
+  return {
+    currentBid: price,
+    minimumBid: price,
+    bidIncrement: item.dutch.decrement,
+    reserveMet: true,
+    nextPriceDropAt: price > floorPrice ? startsAt + (drops + 1) * intervalMs : null
+  };
+}
+
+module.exports = {
+  checkBid,
+  applyBid,
+  open,
+  settle,
+  toPublic,
+  getDutchPrice,
+  hidesBids: () => false,
+  softClose: false
+};
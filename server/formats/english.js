@@ -0,0 +1,121 @@
+const { resolveProxyBid } = require('../proxyBidding');
+const { getIncrement, getMinimumBid, isReserveMet } = require('../bidRules');
+const { BidErrorCode, bidError } = require('../bidErrors');
+const { formatMoney } = require('../money');
+
+/**
+ * Open ascending auction: the default format. Supports proxy bidding, a
+ * hidden reserve and an optional Buy-It-Now price.
+ */
+
+/**
+ * Buy-It-Now stays on offer until bidding reaches its price.
+ *
+ * @param {Object} item - Auction item
+ * @returns {boolean}
+ */
+function isBuyNowAvailable(item) {
+  return Boolean(item.buyNowPrice) && item.status === 'open' && item.currentBid < item.buyNowPrice;
+}
+
+function checkBid(item, bid) {
+  const itemId = item.id;
+
+  if (bid.accept) {
+    return bidError(BidErrorCode.INVALID_REQUEST, 'Only Dutch auctions can be accepted at their price', { itemId, field: 'accept' });
+  }
+
+  if (bid.buyNow) {
+    if (!isBuyNowAvailable(item)) {
+      return bidError(BidErrorCode.BUY_NOW_UNAVAILABLE, 'Buy It Now is not available for this lot', { itemId });
+    }
+    if (bid.amount < item.buyNowPrice) {
+      return bidError(BidErrorCode.BID_TOO_LOW, `Buy It Now price is ${formatMoney(item.buyNowPrice, item.currency)}`, { itemId, minimumBid: item.buyNowPrice });
+    }
+    return null;
+  }
+
+  // Identity is the account id, so a renamed or retyped name can't sneak past this
+  if (item.highestBidderId && item.highestBidderId === bid.bidderId) {
+    return bidError(BidErrorCode.SELF_OUTBID, 'Action Denied: You are currently the highest bidder.', { itemId });
+  }
+
+  const minimumBid = getMinimumBid(item);
+  if (bid.amount < minimumBid) {
+    return bidError(BidErrorCode.BID_TOO_LOW, `Bid must be at least ${formatMoney(minimumBid, item.currency)}`, { itemId, minimumBid });
+  }
+
+  return null;
+}
+
+function applyBid(item, bid, now) {
+  const { bidderId, bidderName } = bid;
+
+  // Buying outright ends the lot at the listed price; standing proxies lapse
+  if (bid.buyNow) {
+    const price = item.buyNowPrice;
+    return {
+      item: {
+        ...item,
+        currentBid: price,
+        highestBidderId: bidderId,
+        highestBidder: bidderName,
+        proxy: null,
+        status: 'closed',
+        closedAt: now,
+        winningBidderId: bidderId,
+        winningBidder: bidderName,
+        winningBid: price
+      },
+      bids: [{ bidderId, bidderName, amount: price, auto: false, buyNow: true }],
+      outbidByProxy: false,
+      closed: true
+    };
+  }
+
+  // Resolve against any standing proxy (may produce automatic counter-bids)
+  const resolution = resolveProxyBid(item, bid);
+
+  return {
+    item: {
+      ...item,
+      currentBid: resolution.currentBid,
+      highestBidderId: resolution.highestBidderId,
+      highestBidder: resolution.highestBidder,
+      proxy: resolution.proxy
+    },
+    bids: resolution.bids,
+    outbidByProxy: resolution.outbidByProxy,
+    closed: false
+  };
+}
+
+function settle(item) {
+  // A lot whose hidden reserve was not reached closes without a sale
+  const hasWinner = Boolean(item.highestBidderId) && isReserveMet(item);
+
+  return {
+    winningBidderId: hasWinner ? item.highestBidderId : null,
+    winningBidder: hasWinner ? item.highestBidder : null,
+    winningBid: hasWinner ? item.currentBid : null
+  };
+}
+
+function toPublic(item) {
+  return {
+    minimumBid: getMinimumBid(item),
+    bidIncrement: getIncrement(item, item.currentBid),
+    reserveMet: isReserveMet(item),
+    buyNowAvailable: isBuyNowAvailable(item)
+  };
+}
+
+module.exports = {
+  checkBid,
+  applyBid,
+  open: () => ({}),
+  settle,
+  toPublic,
+  hidesBids: () => false,
+  softClose: true
+};
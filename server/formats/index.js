@@ -0,0 +1,35 @@
+const english = require('./english');
+const sealed = require('./sealed');
+const dutch = require('./dutch');
+
+/**
+ * Bidding strategies by item `format`. Each one decides how a bid is checked
+ * and applied, who wins at close and what bidders may see:
+ *
+ * - `checkBid(item, bid, now)` - a refusal (bidError) or null. Pure, so the
+ *   service runs it before joining the item's queue and again inside it.
+ * - `applyBid(item, bid, now)` - `{ item, bids, outbidByProxy, closed }`: the
+ *   next lot state, the entries for the bid log, and whether the bid ended the lot.
+ * - `open(item, now)` - fields set when an upcoming lot opens for bidding.
+ * - `settle(item)` - fields recorded when the lot closes at its end time.
+ * - `toPublic(item, now)` - format-specific public fields (see ../publicItem).
+ * - `hidesBids(item)` - whether the bid log is withheld from bidders.
+ * - `softClose` - whether late bids extend the lot.
+ *
+ * `bid` is `{ bidderId, bidderName, amount, maxAmount, buyNow }`.
+ */
+const FORMATS = Object.freeze({ english, sealed, dutch });
+
+const AUCTION_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Strategy for a lot. Lots stored before formats existed are English.
+ *
+ * @param {Object} item - Auction item
+ * @returns {Object}
+ */
+function getFormat(item) {
+  return FORMATS[item.format] || english;
+}
+
+module.exports = { AUCTION_FORMATS, getFormat };
@@ -0,0 +1,108 @@
+const { getIncrement } = require('../bidRules');
+const { BidErrorCode, bidError } = require('../bidErrors');
+const { formatMoney } = require('../money');
+
+/**
+ * Sealed-bid auction: each bidder submits one private amount (which they may
+ * raise) and nothing about the bidding is shown until the lot closes. The
+ * highest bid wins; with `sealedPricing: 'second'` (Vickrey) the winner pays
+ * the runner-up's amount instead of their own.
+ *
+ * Bids live in `item.sealedBids`, keyed by bidder id and stripped from every
+ * public item. `currentBid` and `highestBidder` stay at their opening values
+ * until close, so nothing about the leader leaks through them.
+ */
+
+function checkBid(item, bid) {
+  const itemId = item.id;
+
+  if (bid.accept) {
+    return bidError(BidErrorCode.INVALID_REQUEST, 'Only Dutch auctions can be accepted at their price', { itemId, field: 'accept' });
+  }
+
+  if (bid.buyNow) {
+    return bidError(BidErrorCode.BUY_NOW_UNAVAILABLE, 'Buy It Now is not available for this lot', { itemId });
+  }
+
+  if (bid.maxAmount !== undefined) {
+    return bidError(BidErrorCode.INVALID_REQUEST, 'Sealed bids cannot set a maximum bid', { itemId, field: 'maxAmount' });
+  }
+
+  const ownBid = item.sealedBids?.[bid.bidderId];
+  if (ownBid && bid.amount <= ownBid.amount) {
+    // Any raise will do; increments only pace open bidding
+    return bidError(BidErrorCode.BID_TOO_LOW, `A new sealed bid must beat your previous one of ${formatMoney(ownBid.amount, item.currency)}`, { itemId, minimumBid: ownBid.amount + 1 });
+  }
+
+  if (bid.amount < item.startingPrice) {
+    return bidError(BidErrorCode.BID_TOO_LOW, `Bid must be at least ${formatMoney(item.startingPrice, item.currency)}`, { itemId, minimumBid: item.startingPrice });
+  }
+
+  return null;
+}
+
+function applyBid(item, bid, now) {
+  const { bidderId, bidderName, amount } = bid;
+
+  return {
+    item: {
+      ...item,
+      sealedBids: { ...item.sealedBids, [bidderId]: { bidderName, amount, placedAt: now } }
+    },
+    bids: [{ bidderId, bidderName, amount, auto: false }],
+    outbidByProxy: false,
+    closed: false
+  };
+}
+
+/**
+ * Opens the envelopes: highest amount wins, ties go to whoever bid first.
+ * Below a reserve the lot closes unsold, but the top bid is still revealed.
+ */
+function settle(item) {
+  const ranked = Object.entries(item.sealedBids || {})
+    .map(([bidderId, sealedBid]) => ({ bidderId, ...sealedBid }))
+    .sort((a, b) => b.amount - a.amount || a.placedAt - b.placedAt);
+  const [top, runnerUp] = ranked;
+
+  if (!top) {
+    return { winningBidderId: null, winningBidder: null, winningBid: null };
+  }
+
+  const reservePrice = item.reservePrice || 0;
+  const hasWinner = top.amount >= reservePrice;
+  const price = item.sealedPricing === 'second'
+    ? Math.max(runnerUp ? runnerUp.amount : item.startingPrice, reservePrice)
+    : top.amount;
+
+  return {
+    currentBid: hasWinner ? price : top.amount,
+    highestBidderId: top.bidderId,
+    highestBidder: top.bidderName,
+    winningBidderId: hasWinner ? top.bidderId : null,
+    winningBidder: hasWinner ? top.bidderName : null,
+    winningBid: hasWinner ? price : null
+  };
+}
+
+function toPublic(item) {
+  const isClosed = item.status === 'closed';
+
+  return {
+    minimumBid: item.startingPrice,
+    bidIncrement: getIncrement(item, item.startingPrice),
+    reserveMet: isClosed ? Boolean(item.winningBidderId) : false,
+    sealedPricing: item.sealedPricing || 'first',
+    bidCount: Object.keys(item.sealedBids || {}).length
+  };
+}
+
+module.exports = {
+  checkBid,
+  applyBid,
+  open: () => ({}),
+  settle,
+  toPublic,
+  hidesBids: (item) => item.status !== 'closed',
+  softClose: false
+};
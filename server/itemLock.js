@@ -0,0 +1,34 @@
+const createSerialQueue = require('./serialQueue');
+const { createRedisLock } = require('./redisLock');
+
+// ============================================
+// RACE CONDITION PROTECTION - PER-ITEM QUEUES
+// ============================================
+/**
+ * Builds `withItemLock(itemId, task)`. Every read-modify-write of an item
+ * (bids, closing, admin edits) runs through that item's FIFO queue, so
+ * validation and update are atomic per lot while bids on different lots
+ * proceed in parallel.
+ *
+ * In multi-instance mode the local queue also takes the item's Redis lock,
+ * so only one process at a time works on a lot.
+ *
+ * @param {Object} [options]
+ * @param {import('ioredis').Redis|null} [options.redis] - Shared Redis, if any
+ * @param {string} [options.keyPrefix] - Namespace for the Redis lock keys
+ * @returns {Function} withItemLock(itemId, task) - Resolves with the task's result
+ */
+function createItemLock({ redis = null, keyPrefix = 'auction:' } = {}) {
+  const itemQueue = createSerialQueue();
+  const distributedLock = redis ? createRedisLock(redis) : null;
+  const lockPrefix = `${keyPrefix}lock:item:`;
+
+  return function withItemLock(itemId, task) {
+    if (!distributedLock) {
+      return itemQueue.run(itemId, task);
+    }
+    return itemQueue.run(itemId, () => distributedLock.withLock(`${lockPrefix}${itemId}`, task));
+  };
+}
+
+module.exports = createItemLock;
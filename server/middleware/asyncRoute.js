@@ -0,0 +1,14 @@
+/**
+ * Wraps an async route handler so a rejection (e.g. a failed store write)
+ * reaches the app's error middleware. Express 4 ignores the promise a
+ * handler returns, so without this the error escapes as an unhandled
+ * rejection and the request never gets a reply.
+ *
+ * @param {Function} handler - (req, res, next) => Promise
+ * @returns {Function} Express handler
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = asyncRoute;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+/**
+ * Express middleware guarding admin-only routes.
+ * Expects `Authorization: Bearer <ADMIN_TOKEN>`; when ADMIN_TOKEN is not
+ * configured the admin API is disabled entirely rather than left open.
+ */
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Constant-time string comparison to avoid leaking the token via timing.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = requireAdmin;
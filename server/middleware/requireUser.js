@@ -0,0 +1,20 @@
+const { verifyToken } = require('../auth');
+
+/**
+ * Express middleware for routes that act on behalf of a logged-in user.
+ * Expects `Authorization: Bearer <session token>` and sets `req.user`.
+ */
+function requireUser(req, res, next) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  const user = scheme === 'Bearer' && token ? verifyToken(token) : null;
+
+  if (!user) {
+    return res.status(401).json({ error: 'Please log in to continue', code: 'UNAUTHENTICATED' });
+  }
+
+  req.user = user;
+  next();
+}
+
+module.exports = requireUser;
@@ -0,0 +1,53 @@
+/**
+ * Money is stored, validated and sent as integer minor units of the lot's
+ * currency (cents for USD, yen for JPY), so no amount ever picks up float
+ * rounding error. Only display code converts to major units.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Whether `value` is a usable amount: a positive whole number of minor units.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMinorAmount(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+/**
+ * Whether `value` is an ISO 4217 code this runtime can format.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCurrencyCode(value) {
+  return typeof value === 'string' && CURRENCY_CODES.has(value);
+}
+
+/**
+ * Formats minor units for server messages, e.g. 12550 USD -> "$125.50".
+ *
+ * @param {number} amount - Integer minor units
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string}
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount / minorUnitsPerMajor(currency));
+}
+
+/**
+ * Minor units in one major unit: 100 for USD, 1 for JPY.
+ *
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {number}
+ */
+function minorUnitsPerMajor(currency = DEFAULT_CURRENCY) {
+  const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  return 10 ** digits;
+}
+
+module.exports = { DEFAULT_CURRENCY, isMinorAmount, isCurrencyCode, formatMoney, minorUnitsPerMajor };
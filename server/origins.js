@@ -0,0 +1,36 @@
+/**
+ * Browser origins allowed to call the API and open sockets.
+ *
+ * ALLOWED_ORIGINS is a comma-separated list such as
+ * `https://bids.example.com,http://localhost:5173`. `*` allows any origin
+ * and should only be used for local experiments.
+ */
+const DEFAULT_ALLOWED_ORIGINS = 'http://localhost:5173';
+
+function parseAllowedOrigins(value = DEFAULT_ALLOWED_ORIGINS) {
+  return value
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Builds the origin check shared by cors() and socket.io.
+ *
+ * Requests without an Origin header (curl, server-to-server, the benchmark
+ * scripts) are allowed: origin checks only protect browsers, and those
+ * clients are covered by the rate limits instead.
+ *
+ * @param {string[]} allowedOrigins - From parseAllowedOrigins()
+ * @returns {Function} (origin) => boolean
+ */
+function createOriginCheck(allowedOrigins) {
+  const allowAny = allowedOrigins.includes('*');
+  const allowed = new Set(allowedOrigins);
+
+  return function isAllowedOrigin(origin) {
+    return !origin || allowAny || allowed.has(origin);
+  };
+}
+
+module.exports = { parseAllowedOrigins, createOriginCheck };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Test tokens, in the style of card processors' sandbox tokens
+const DECLINED_TOKEN = 'tok_declined';
+
+/**
+ * Local stand-in for a card processor: no network, no real money. Any
+ * payment token succeeds except `tok_declined`, which is refused the way a
+ * bank would refuse a card.
+ *
+ * Charges are remembered by idempotency key, so charging the same key twice
+ * (a retry after a crash between charging and recording the payment)
+ * returns the first outcome instead of taking the money again.
+ */
+class FakePaymentProvider {
+  constructor() {
+    // Idempotency key -> charge outcome
+    this.charges = new Map();
+    // Idempotency key -> refund outcome
+    this.refunds = new Map();
+  }
+
+  /**
+   * @param {Object} request
+   * @param {string} request.idempotencyKey - Same key, same charge
+   * @param {number} request.amount - Minor units
+   * @param {string} request.currency - ISO 4217 code
+   * @param {string} request.paymentToken - Card token from the client
+   * @param {string} [request.description] - Shown on the statement
+   * @returns {Promise<{ id: string, succeeded: boolean, error?: string }>}
+   */
+  async charge({ idempotencyKey, amount, currency, paymentToken, description }) {
+    if (this.charges.has(idempotencyKey)) {
+      return this.charges.get(idempotencyKey).outcome;
+    }
+
+    const outcome = paymentToken === DECLINED_TOKEN
+      ? { id: `ch_fake_${crypto.randomUUID()}`, succeeded: false, error: 'Your card was declined' }
+      : { id: `ch_fake_${crypto.randomUUID()}`, succeeded: true };
+
+    this.charges.set(idempotencyKey, { amount, currency, description, outcome });
+    return outcome;
+  }
+
+  /**
+   * Hands back a successful charge in full.
+   *
+   * @param {Object} request
+   * @param {string} request.idempotencyKey - Same key, same refund
+   * @param {string} request.chargeId - Id returned by charge()
+   * @returns {Promise<{ id: string, succeeded: boolean, error?: string }>}
+   */
+  async refund({ idempotencyKey, chargeId }) {
+    if (this.refunds.has(idempotencyKey)) {
+      return this.refunds.get(idempotencyKey).outcome;
+    }
+
+    const charged = [...this.charges.values()].some(({ outcome }) => outcome.id === chargeId && outcome.succeeded);
+    const outcome = charged
+      ? { id: `re_fake_${crypto.randomUUID()}`, succeeded: true }
+      : { id: `re_fake_${crypto.randomUUID()}`, succeeded: false, error: 'No such charge' };
+
+    this.refunds.set(idempotencyKey, { chargeId, outcome });
+    return outcome;
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,29 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+/**
+ * Builds the payment provider selected by configuration.
+ *
+ * A provider is any object with
+ * `charge({ idempotencyKey, amount, currency, paymentToken, description })`
+ * and `refund({ idempotencyKey, chargeId })`, both resolving to
+ * `{ id, succeeded, error? }`. Amounts are minor units, and a repeated
+ * idempotency key must not charge (or refund) twice. A real processor plugs in
+ * as another case here.
+ *
+ * PAYMENT_PROVIDER=fake (default) approves every token but `tok_declined`
+ * and never moves money - for development and tests.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name
+ * @returns {FakePaymentProvider}
+ */
+function createPaymentProvider({ provider = 'fake' } = {}) {
+  switch (provider) {
+    case 'fake':
+      return new FakePaymentProvider();
+    default:
+      throw new Error(`Unknown payment provider: ${provider}`);
+  }
+}
+
+module.exports = { createPaymentProvider, FakePaymentProvider };
@@ -0,0 +1,82 @@
+const { getIncrement } = require('./bidRules');
+
+/**
+ * Resolves an incoming bid against the lot's current leader, eBay-style.
+ *
+ * Only the leader's maximum ever needs to be remembered: whenever a proxy is
+ * beaten its ceiling is exhausted, so `item.proxy` holds at most one hidden
+ * `{ bidderId, maxAmount }` and it always belongs to `item.highestBidderId`.
+ *
+ * - A challenger whose ceiling beats the leader's takes the lead at one
+ *   increment over the leader's ceiling (capped at their own ceiling).
+ * - Otherwise the leader's proxy answers automatically at one increment over
+ *   the challenger's ceiling (capped at the leader's), and keeps the lead.
+ *
+ * Increments come from the item's price bands (see bidRules).
+ *   Equal ceilings go to the earlier bidder.
+ *
+ * The caller has already checked that `amount` meets the minimum bid.
+ *
+ * @param {Object} item - Current lot state ({ currentBid, highestBidderId, highestBidder, proxy, incrementTable })
+ * @param {Object} bid
+ * @param {string} bid.bidderId - Challenger's user id
+ * @param {string} bid.bidderName - Challenger's display name
+ * @param {number} bid.amount - Bid the challenger placed
+ * @param {number} [bid.maxAmount] - Challenger's private ceiling (>= amount)
+ * @returns {{ currentBid: number, highestBidderId: string, highestBidder: string, proxy: Object|null, bids: Array<Object>, outbidByProxy: boolean }}
+ */
+function resolveProxyBid(item, { bidderId, bidderName, amount, maxAmount }) {
+  const ceiling = maxAmount ?? amount;
+  const bids = [{ bidderId, bidderName, amount, auto: false }];
+
+  const leader = item.highestBidderId
+    ? { bidderId: item.highestBidderId, bidderName: item.highestBidder }
+    : null;
+  const leaderCeiling = leader && item.proxy && item.proxy.bidderId === leader.bidderId
+    ? item.proxy.maxAmount
+    : item.currentBid;
+
+  // No one to beat (or a leader without a proxy who is already outbid by `amount`)
+  if (!leader || ceiling > leaderCeiling) {
+    const currentBid = leader
+      ? Math.max(amount, Math.min(ceiling, leaderCeiling + getIncrement(item, leaderCeiling)))
+      : amount;
+
+    // The defending proxy answers the challenger's bid with its whole ceiling
+    // before giving up the lead, so the log stays in causal, rising order
+    if (leader && leaderCeiling > amount && leaderCeiling < currentBid) {
+      bids.push({ ...leader, amount: leaderCeiling, auto: true });
+    }
+    if (currentBid > amount) {
+      bids.push({ bidderId, bidderName, amount: currentBid, auto: true });
+    }
+
+    return {
+      currentBid,
+      highestBidderId: bidderId,
+      highestBidder: bidderName,
+      proxy: ceiling > currentBid ? { bidderId, maxAmount: ceiling } : null,
+      bids,
+      outbidByProxy: false
+    };
+  }
+
+  // The leader's proxy holds: the challenger's ceiling is spent, then the leader answers
+  if (ceiling > amount) {
+    bids.push({ bidderId, bidderName, amount: ceiling, auto: true });
+  }
+
+  const currentBid = Math.min(leaderCeiling, ceiling + getIncrement(item, ceiling));
+  bids.push({ ...leader, amount: currentBid, auto: true });
+
+  return {
+    currentBid,
+    highestBidderId: leader.bidderId,
+    highestBidder: leader.bidderName,
+    proxy: leaderCeiling > currentBid ? { bidderId: leader.bidderId, maxAmount: leaderCeiling } : null,
+    bids,
+    outbidByProxy: true
+  };
+}
+
+module.exports = { resolveProxyBid };
@@ -0,0 +1,32 @@
+const { getFormat } = require('./formats');
+const { DEFAULT_CURRENCY } = require('./money');
+
+/**
+ * Strips server-only fields from an auction item before it leaves the
+ * server. Every REST response and socket payload carrying an item goes
+ * through here, so a hidden field only has to be listed once.
+ *
+ * Also adds the derived bidding rules the client needs (minimum next bid,
+ * increment, reserve status) so it never has to hard-code them. Those come
+ * from the lot's format (see ./formats), which may also hide or replace
+ * fields - a sealed lot shows no bids, a Dutch lot shows its falling price.
+ *
+ * @param {Object} item - Auction item as stored
+ * @returns {Object} Item safe to send to any client
+ */
+function toPublicItem(item) {
+  // Proxy ceilings, reserve prices and sealed bids are private
+  const { proxy, reservePrice, sealedBids, ...publicFields } = item;
+
+  return {
+    ...publicFields,
+    format: item.format || 'english',
+    currency: item.currency || DEFAULT_CURRENCY,
+    // State sequence: bumped on every write, so clients can spot stale or missed updates
+    version: item.version ?? 0,
+    hasReserve: Boolean(reservePrice),
+    ...getFormat(item).toPublic(item, Date.now())
+  };
+}
+
+module.exports = toPublicItem;
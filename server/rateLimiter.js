@@ -0,0 +1,70 @@
+/**
+ * In-process token-bucket rate limiter.
+ *
+ * Each key (an IP, a user id...) gets a bucket of `limit` tokens that refills
+ * continuously over `windowMs`, so a client can burst up to `limit` actions
+ * and then sustain `limit` per window. Limits are per server process; in
+ * multi-instance mode each instance enforces its own budget.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Actions allowed per window (0 disables the limiter)
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ consume: Function, size: Function, stop: Function }}
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const buckets = new Map();
+  const refillPerMs = limit / windowMs;
+
+  /**
+   * Takes one token from `key`'s bucket.
+   *
+   * @param {string} key - Who is acting
+   * @returns {{ allowed: boolean, retryAfterMs: number }}
+   */
+  function consume(key) {
+    if (limit <= 0) {
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  // A bucket that has refilled completely is the same as no bucket at all
+  const sweeper = limit > 0
+    ? setInterval(() => {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) {
+        if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= limit) {
+          buckets.delete(key);
+        }
+      }
+    }, windowMs)
+    : null;
+  sweeper?.unref();
+
+  /**
+   * Number of keys currently being tracked.
+   */
+  function size() {
+    return buckets.size;
+  }
+
+  function stop() {
+    clearInterval(sweeper);
+  }
+
+  return { consume, size, stop };
+}
+
+module.exports = createRateLimiter;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Deletes the lock only if we still own it, so a holder whose lease expired
+ * can never release a lock someone else has since taken.
+ */
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Raised by withLock() when another process held the lock for longer than
+ * the caller was willing to wait. Nothing has run, so the request can be retried.
+ */
+class LockTimeoutError extends Error {
+  constructor(key) {
+    super(`Timed out acquiring lock ${key}`);
+    this.name = 'LockTimeoutError';
+    this.key = key;
+  }
+}
+
+/**
+ * Cross-process mutex on Redis (SET NX PX with an owner token).
+ *
+ * The lease (ttlMs) bounds how long a crashed holder can block others; it
+ * should comfortably exceed the longest critical section. Stores still
+ * compare-and-set on write, so an expired lease can cause a retryable
+ * conflict but never a lost update.
+ *
+ * @param {import('ioredis').Redis} redis - Connected ioredis client
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Lease length
+ * @param {number} [options.retryMs] - Base delay between acquire attempts
+ * @param {number} [options.timeoutMs] - Give up acquiring after this long
+ * @returns {{ withLock: Function }}
+ */
+function createRedisLock(redis, { ttlMs = 5000, retryMs = 5, timeoutMs = 10000 } = {}) {
+  redis.defineCommand('releaseLock', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+
+  /**
+   * Runs `task` while holding the lock named `key`.
+   *
+   * @param {string} key - Lock key
+   * @param {Function} task - Async critical section
+   * @returns {Promise<*>} The task's result
+   * @throws {LockTimeoutError} When the lock can't be had within timeoutMs
+   */
+  async function withLock(key, task) {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + timeoutMs;
+
+    while (!(await redis.set(key, token, 'PX', ttlMs, 'NX'))) {
+      if (Date.now() > deadline) {
+        throw new LockTimeoutError(key);
+      }
+      // Jitter keeps instances from retrying in lockstep
+      await new Promise(resolve => setTimeout(resolve, retryMs + Math.random() * retryMs));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await redis.releaseLock(key, token);
+    }
+  }
+
+  return { withLock };
+}
+
+module.exports = { createRedisLock, LockTimeoutError };
@@ -0,0 +1,35 @@
+/**
+ * Socket.io room holding every open session of one user, so personal events
+ * reach all of their tabs and devices.
+ *
+ * @param {string} userId - Account id
+ * @returns {string}
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Socket.io room joined by every session of every user watching a lot, so
+ * watchlist alerts reach only the interested users.
+ *
+ * @param {number} itemId - Lot id
+ * @returns {string}
+ */
+function watchersRoom(itemId) {
+  return `watchers:${itemId}`;
+}
+
+/**
+ * Socket.io room for sessions currently viewing a lot. Full bidUpdates
+ * (with the recent-bids feed) go only here; everyone else gets the small
+ * bidSummary.
+ *
+ * @param {number} itemId - Lot id
+ * @returns {string}
+ */
+function itemRoom(itemId) {
+  return `item:${itemId}`;
+}
+
+module.exports = { userRoom, watchersRoom, itemRoom };
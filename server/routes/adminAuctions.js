@@ -0,0 +1,427 @@
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const toPublicItem = require('../publicItem');
+const { validateIncrementTable } = require('../bidRules');
+const { AUCTION_FORMATS } = require('../formats');
+const { DEFAULT_CURRENCY, isMinorAmount, isCurrencyCode } = require('../money');
+const asyncRoute = require('../middleware/asyncRoute');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_CATEGORY_LENGTH = 40;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 24;
+const MAX_GALLERY_IMAGES = 8;
+
+/**
+ * Validates an admin create/update payload.
+ *
+ * @param {Object} body - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing fields (PATCH)
+ * @returns {{ errors: string[], fields: Object }} Normalized fields and any validation errors
+ */
+function validateAuctionInput(body, { partial }) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('title') || !partial) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      errors.push('title must be a non-empty string');
+    } else if (body.title.trim().length > MAX_TITLE_LENGTH) {
+      errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    } else {
+      fields.title = body.title.trim();
+    }
+  }
+
+  // Prices are whole minor units of the lot's currency (see ../money)
+  if (has('startingPrice') || !partial) {
+    if (!isMinorAmount(body.startingPrice)) {
+      errors.push('startingPrice must be a positive whole number of minor units');
+    } else {
+      fields.startingPrice = body.startingPrice;
+    }
+  }
+
+  if (has('image') || !partial) {
+    if (!isHttpUrl(body.image)) {
+      errors.push('image must be an http(s) URL');
+    } else {
+      fields.image = body.image;
+    }
+  }
+
+  // A sequenced lot gets its end time when it opens (see opensAfterItemId)
+  if (has('auctionEndsAt') || (!partial && !has('opensAfterItemId'))) {
+    const endsAt = parseTimestamp(body.auctionEndsAt);
+
+    if (endsAt === null) {
+      errors.push('auctionEndsAt must be a timestamp (ms) or ISO date string');
+    } else if (endsAt <= Date.now()) {
+      errors.push('auctionEndsAt must be in the future');
+    } else {
+      fields.auctionEndsAt = endsAt;
+    }
+  }
+
+  // Optional: a later start; the lot is upcoming (no bids) until then
+  if (has('auctionStartsAt')) {
+    const startsAt = parseTimestamp(body.auctionStartsAt);
+
+    if (startsAt === null) {
+      errors.push('auctionStartsAt must be a timestamp (ms) or ISO date string');
+    } else if (startsAt <= Date.now()) {
+      errors.push('auctionStartsAt must be in the future');
+    } else {
+      fields.auctionStartsAt = startsAt;
+    }
+  }
+
+  // Optional: open when another lot finishes, for live events run lot by lot
+  if (has('opensAfterItemId')) {
+    if (partial) {
+      errors.push('opensAfterItemId cannot be changed after creation');
+    } else if (!Number.isSafeInteger(body.opensAfterItemId) || body.opensAfterItemId <= 0) {
+      errors.push('opensAfterItemId must be a lot id');
+    } else {
+      fields.opensAfterItemId = body.opensAfterItemId;
+    }
+  }
+
+  if (has('durationSeconds')) {
+    if (!isPositiveNumber(body.durationSeconds)) {
+      errors.push('durationSeconds must be a positive number');
+    } else {
+      fields.durationMs = body.durationSeconds * 1000;
+    }
+  }
+
+  // Optional extra photos for the detail page gallery, after `image`
+  if (has('images')) {
+    if (!Array.isArray(body.images) || body.images.length > MAX_GALLERY_IMAGES || !body.images.every(isHttpUrl)) {
+      errors.push(`images must be an array of at most ${MAX_GALLERY_IMAGES} http(s) URLs`);
+    } else {
+      fields.images = body.images;
+    }
+  }
+
+  // Optional catalogue fields used by search and filtering
+  if (has('description')) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    } else {
+      fields.description = body.description.trim();
+    }
+  }
+
+  if (has('category')) {
+    if (typeof body.category !== 'string' || !body.category.trim() || body.category.trim().length > MAX_CATEGORY_LENGTH) {
+      errors.push(`category must be a non-empty string of at most ${MAX_CATEGORY_LENGTH} characters`);
+    } else {
+      fields.category = body.category.trim();
+    }
+  }
+
+  if (has('tags')) {
+    const tags = Array.isArray(body.tags) ? body.tags : null;
+    if (!tags || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string' && tag.trim() && tag.trim().length <= MAX_TAG_LENGTH)) {
+      errors.push(`tags must be an array of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters`);
+    } else {
+      fields.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+    }
+  }
+
+  // Optional: a hidden reserve (null clears it)
+  if (has('reservePrice')) {
+    if (body.reservePrice !== null && !isMinorAmount(body.reservePrice)) {
+      errors.push('reservePrice must be a positive whole number of minor units or null');
+    } else {
+      fields.reservePrice = body.reservePrice;
+    }
+  }
+
+  // Optional: price-banded increments (null falls back to the default table)
+  if (has('incrementTable')) {
+    const tableError = body.incrementTable === null ? null : validateIncrementTable(body.incrementTable);
+    if (tableError) {
+      errors.push(tableError);
+    } else {
+      fields.incrementTable = body.incrementTable;
+    }
+  }
+
+  // Currency, format and its settings shape the whole auction, so they are fixed at creation
+  if (has('currency')) {
+    if (partial) {
+      errors.push('currency cannot be changed after creation');
+    } else if (!isCurrencyCode(body.currency)) {
+      errors.push('currency must be an ISO 4217 code such as "USD"');
+    } else {
+      fields.currency = body.currency;
+    }
+  }
+
+  if (has('format')) {
+    if (partial) {
+      errors.push('format cannot be changed after creation');
+    } else if (!AUCTION_FORMATS.includes(body.format)) {
+      errors.push(`format must be one of: ${AUCTION_FORMATS.join(', ')}`);
+    } else {
+      fields.format = body.format;
+    }
+  }
+
+  if (has('sealedPricing')) {
+    if (partial) {
+      errors.push('sealedPricing cannot be changed after creation');
+    } else if (body.sealedPricing !== 'first' && body.sealedPricing !== 'second') {
+      errors.push('sealedPricing must be "first" or "second"');
+    } else {
+      fields.sealedPricing = body.sealedPricing;
+    }
+  }
+
+  if (has('dutch')) {
+    const dutch = body.dutch;
+    if (partial) {
+      errors.push('dutch cannot be changed after creation');
+    } else if (!dutch || typeof dutch !== 'object' || !isMinorAmount(dutch.floorPrice) || !isMinorAmount(dutch.decrement) || !isPositiveNumber(dutch.intervalSeconds)) {
+      errors.push('dutch must be { floorPrice, decrement, intervalSeconds } with whole minor units and a positive interval');
+    } else {
+      // The price starts falling the moment the lot is listed
+      fields.dutch = {
+        floorPrice: dutch.floorPrice,
+        decrement: dutch.decrement,
+        intervalMs: dutch.intervalSeconds * 1000,
+        startsAt: Date.now()
+      };
+    }
+  }
+
+  // Optional: ends an English lot at once for whoever pays it (null clears it)
+  if (has('buyNowPrice')) {
+    if (body.buyNowPrice !== null && !isMinorAmount(body.buyNowPrice)) {
+      errors.push('buyNowPrice must be a positive whole number of minor units or null');
+    } else {
+      fields.buyNowPrice = body.buyNowPrice;
+    }
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * Checks the settings that depend on the lot's format, on the lot as it
+ * would be saved.
+ *
+ * @param {Object} item - Existing item merged with the validated fields
+ * @returns {string[]} Validation errors
+ */
+function validateFormatRules(item) {
+  const errors = [];
+  const format = item.format || 'english';
+
+  if (item.buyNowPrice) {
+    if (format !== 'english') {
+      errors.push('buyNowPrice is only available for english auctions');
+    } else if (item.buyNowPrice <= item.startingPrice) {
+      errors.push('buyNowPrice must be above startingPrice');
+    } else if (item.reservePrice && item.buyNowPrice < item.reservePrice) {
+      errors.push('buyNowPrice must be at least reservePrice');
+    }
+  }
+
+  if (item.sealedPricing && format !== 'sealed') {
+    errors.push('sealedPricing is only available for sealed auctions');
+  }
+
+  if (format === 'dutch') {
+    if (!item.dutch) {
+      errors.push('dutch auctions need a dutch price schedule');
+    } else if (item.dutch.floorPrice >= item.startingPrice) {
+      errors.push('dutch.floorPrice must be below startingPrice');
+    }
+    // The floor price plays the reserve's role
+    if (item.reservePrice) {
+      errors.push('reservePrice is not available for dutch auctions');
+    }
+  } else if (item.dutch) {
+    errors.push('dutch is only available for dutch auctions');
+  }
+
+  return errors;
+}
+
+/**
+ * Checks the start and end settings on the lot as it would be saved.
+ *
+ * @param {Object} item - Existing item (or new status) merged with the validated fields
+ * @returns {string[]} Validation errors
+ */
+function validateScheduleRules(item) {
+  const errors = [];
+
+  if (item.opensAfterItemId && item.status === 'upcoming') {
+    if (item.auctionStartsAt || item.auctionEndsAt) {
+      errors.push('a sequenced lot gets its start and end times when it opens; set durationSeconds instead');
+    }
+    if (!item.durationMs) {
+      errors.push('durationSeconds is required with opensAfterItemId');
+    }
+  } else if (item.durationMs && !item.opensAfterItemId) {
+    errors.push('durationSeconds is only used with opensAfterItemId');
+  }
+
+  if (item.auctionStartsAt && item.auctionEndsAt && item.auctionEndsAt <= item.auctionStartsAt) {
+    errors.push('auctionEndsAt must be after auctionStartsAt');
+  }
+
+  return errors;
+}
+
+function parseTimestamp(value) {
+  const time = typeof value === 'string' ? Date.parse(value) : value;
+  return typeof time === 'number' && Number.isFinite(time) ? time : null;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Admin-only auction management routes.
+ * Every change is broadcast so open clients add, update or remove cards live.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {Object} deps.io - Socket.io server
+ * @param {Function} deps.withItemLock - Serializes work per item with bids and closing
+ * @returns {express.Router}
+ */
+function createAdminAuctionsRouter({ store, io, withItemLock }) {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  /**
+   * Whether anyone has bid on the lot. Sealed lots keep no leader until
+   * close, so this looks at the bids themselves rather than highestBidderId.
+   */
+  async function hasBids(item) {
+    if (Object.keys(item.sealedBids || {}).length > 0) {
+      return true;
+    }
+    return (await store.getBids(item.id, { limit: 1 })).length > 0;
+  }
+
+  router.post('/', asyncRoute(async (req, res) => {
+    const { errors, fields } = validateAuctionInput(req.body || {}, { partial: false });
+    const status = fields.auctionStartsAt || fields.opensAfterItemId ? 'upcoming' : 'open';
+    if (!errors.length) {
+      errors.push(...validateFormatRules(fields), ...validateScheduleRules({ ...fields, status }));
+    }
+
+    if (!errors.length && fields.opensAfterItemId) {
+      const previous = await store.getItem(fields.opensAfterItemId);
+      if (!previous || previous.status === 'cancelled') {
+        errors.push('opensAfterItemId must be an existing lot');
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const item = await store.createItem({
+      format: 'english',
+      currency: DEFAULT_CURRENCY,
+      description: '',
+      category: 'Other',
+      tags: [],
+      images: [],
+      ...fields,
+      currentBid: fields.startingPrice,
+      highestBidderId: null,
+      highestBidder: null,
+      status
+    });
+
+    io.emit('auctionCreated', toPublicItem(item));
+    // Admins get the full record, reserve included
+    res.status(201).json({ item });
+  }));
+
+  // Edits and cancellations queue behind in-flight bids so they never
+  // overwrite a bid that landed between read and write
+  router.patch('/:id', asyncRoute((req, res) => withItemLock(Number(req.params.id), async () => {
+    const item = await store.getItem(Number(req.params.id));
+
+    if (!item || item.status === 'cancelled') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (item.status === 'closed') {
+      return res.status(409).json({ error: 'Auction has already closed' });
+    }
+
+    const { errors, fields } = validateAuctionInput(req.body || {}, { partial: true });
+    if (!errors.length) {
+      errors.push(...validateFormatRules({ ...item, ...fields }), ...validateScheduleRules({ ...item, ...fields }));
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    if (fields.auctionStartsAt !== undefined && item.status !== 'upcoming') {
+      return res.status(409).json({ error: 'Cannot change auctionStartsAt once the lot has opened' });
+    }
+
+    // Moving the starting price only makes sense before anyone has bid
+    if (fields.startingPrice !== undefined) {
+      if (await hasBids(item)) {
+        return res.status(409).json({ error: 'Cannot change startingPrice after bidding has started' });
+      }
+      fields.currentBid = fields.startingPrice;
+    }
+
+    const updated = await store.saveItem({ ...item, ...fields });
+
+    io.emit('auctionUpdated', toPublicItem(updated));
+    res.json({ item: updated });
+  })));
+
+  router.delete('/:id', asyncRoute((req, res) => withItemLock(Number(req.params.id), async () => {
+    const item = await store.getItem(Number(req.params.id));
+
+    if (!item || item.status === 'cancelled') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (item.status === 'closed') {
+      return res.status(409).json({ error: 'Auction has already closed' });
+    }
+
+    // Cancelled lots are kept (with their bid history) but hidden from bidders
+    await store.saveItem({ ...item, status: 'cancelled', cancelledAt: Date.now() });
+
+    io.emit('auctionCancelled', { id: item.id });
+    res.json({ success: true, id: item.id });
+  })));
+
+  return router;
+}
+
+module.exports = createAdminAuctionsRouter;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { parseAuctionQuery, queryAuctions } = require('../auctionQuery');
+const { getFormat } = require('../formats');
+const asyncRoute = require('../middleware/asyncRoute');
+
+const BID_PAGE_SIZE = 20;
+const MAX_BID_PAGE_SIZE = 100;
+
+/**
+ * Public, read-only auction routes.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {Object} deps.auctions - Auction service (see ../auctionService)
+ * @returns {express.Router}
+ */
+function createAuctionsRouter({ store, auctions }) {
+  const router = express.Router();
+
+  /**
+   * Catalogue listing. Optional filters: ?q= (search text), ?category=,
+   * ?status=open|upcoming|closed, ?minPrice=, ?maxPrice=; order with ?sort=
+   * (ending_soon, price_asc, price_desc, newest) and page with ?page=&limit=.
+   */
+  router.get('/', asyncRoute(async (req, res) => {
+    const { value, error } = parseAuctionQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(queryAuctions(await auctions.getVisibleItems(), value));
+  }));
+
+  /**
+   * One lot with its latest bids (the bidUpdate shape), for detail pages
+   * and deep links.
+   */
+  router.get('/:id', asyncRoute(async (req, res) => {
+    const [item] = await auctions.getLiveItems([Number(req.params.id)]);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({ item });
+  }));
+
+  /**
+   * Bid history for one lot, newest first.
+   * Paginate with ?limit=N and ?before=<nextCursor from the previous page>.
+   */
+  router.get('/:id/bids', asyncRoute(async (req, res) => {
+    const item = await store.getItem(Number(req.params.id));
+
+    if (!item || item.status === 'cancelled') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Sealed bids stay sealed until the lot closes
+    if (getFormat(item).hidesBids(item)) {
+      return res.json({ bids: [], nextCursor: null });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || BID_PAGE_SIZE, 1), MAX_BID_PAGE_SIZE);
+    const before = parseInt(req.query.before, 10) || undefined;
+    const bids = await store.getBids(item.id, { before, limit });
+    const oldest = bids[bids.length - 1];
+
+    res.json({
+      bids,
+      nextCursor: oldest && oldest.seq > 1 ? oldest.seq : null
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createAuctionsRouter;
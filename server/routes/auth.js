@@ -0,0 +1,80 @@
+const express = require('express');
+const { hashPassword, verifyPassword, signToken } = require('../auth');
+const requireUser = require('../middleware/requireUser');
+const { DuplicateUsernameError } = require('../storage/errors');
+const asyncRoute = require('../middleware/asyncRoute');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Account registration, login and session lookup.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Store holding user records
+ * @returns {express.Router}
+ */
+function createAuthRouter({ store }) {
+  const router = express.Router();
+
+  router.post('/register', asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Usernames are unique case-insensitively so "Alice" can't impersonate "alice"
+    if (await store.getUserByUsername(username)) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    let user;
+    try {
+      user = await store.createUser({
+        username,
+        passwordHash: await hashPassword(password),
+        createdAt: Date.now()
+      });
+    } catch (err) {
+      // Lost a race with a concurrent registration of the same name
+      if (err instanceof DuplicateUsernameError) {
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+      throw err;
+    }
+
+    res.status(201).json({ token: signToken(user), user: toPublicUser(user) });
+  }));
+
+  router.post('/login', asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await store.getUserByUsername(username);
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({ token: signToken(user), user: toPublicUser(user) });
+  }));
+
+  router.get('/me', requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
+
+function toPublicUser(user) {
+  return { id: user.id, username: user.username };
+}
+
+module.exports = createAuthRouter;
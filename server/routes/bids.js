@@ -0,0 +1,44 @@
+const express = require('express');
+const requireUser = require('../middleware/requireUser');
+const { BidErrorCode, httpStatusFor } = require('../bidErrors');
+const asyncRoute = require('../middleware/asyncRoute');
+
+/**
+ * POST /api/bid - the REST twin of the `placeBid` socket event. Send an
+ * `Idempotency-Key` header to make retries safe: the bid is placed at most
+ * once per key and repeats get the original outcome.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.submitBid - Shared bid request layer (see ../bidSubmission)
+ * @param {Function} deps.clientIp - Resolves the caller's address (see ../clientIp)
+ * @returns {express.Router}
+ */
+function createBidsRouter({ submitBid, clientIp }) {
+  const router = express.Router();
+
+  router.post('/', requireUser, asyncRoute(async (req, res) => {
+    const idempotencyKey = req.get('idempotency-key');
+    const payload = idempotencyKey && isPlainObject(req.body)
+      ? { ...req.body, idempotencyKey }
+      : req.body;
+
+    const result = await submitBid(payload, req.user, clientIp(req));
+
+    if (result.success) {
+      return res.json(result);
+    } else {
+      if (result.code === BidErrorCode.RATE_LIMITED) {
+        res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      }
+      return res.status(httpStatusFor(result.code)).json(result);
+    }
+  }));
+
+  return router;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = createBidsRouter;
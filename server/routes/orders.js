@@ -0,0 +1,50 @@
+const express = require('express');
+const requireUser = require('../middleware/requireUser');
+const { OrderErrorCode } = require('../settlement');
+const asyncRoute = require('../middleware/asyncRoute');
+
+/**
+ * HTTP status for each refused order action.
+ */
+const HTTP_STATUS = Object.freeze({
+  [OrderErrorCode.INVALID_REQUEST]: 400,
+  [OrderErrorCode.ORDER_NOT_FOUND]: 404,
+  [OrderErrorCode.ORDER_PAID]: 409,
+  [OrderErrorCode.ORDER_EXPIRED]: 409,
+  [OrderErrorCode.PAYMENT_DECLINED]: 402
+});
+
+/**
+ * The logged-in user's orders for lots they won (or were offered a second
+ * chance at), and paying them. Updates also reach every session of the
+ * buyer as `order` socket events.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.settlement - Settlement service (see ../settlement)
+ * @returns {express.Router}
+ */
+function createOrdersRouter({ settlement }) {
+  const router = express.Router();
+
+  router.use(requireUser);
+
+  router.get('/', asyncRoute(async (req, res) => {
+    res.json({ orders: await settlement.getBuyerOrders(req.user.id) });
+  }));
+
+  /**
+   * Pays an order with a card token from the payment provider's client SDK.
+   */
+  router.post('/:id/pay', asyncRoute(async (req, res) => {
+    const result = await settlement.payOrder(req.params.id, req.user, req.body?.paymentToken);
+
+    if (result.success) {
+      return res.json(result);
+    }
+    return res.status(HTTP_STATUS[result.code] || 400).json(result);
+  }));
+
+  return router;
+}
+
+module.exports = createOrdersRouter;
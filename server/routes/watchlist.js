@@ -0,0 +1,54 @@
+const express = require('express');
+const requireUser = require('../middleware/requireUser');
+const { userRoom, watchersRoom } = require('../rooms');
+const asyncRoute = require('../middleware/asyncRoute');
+
+/**
+ * Per-user watchlist: lots a user follows without bidding. Every open
+ * session of the user joins (or leaves) the lot's watchers room, which is
+ * where endingSoon alerts are sent, and receives the updated list.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {import('socket.io').Server} deps.io - Socket.io server
+ * @returns {express.Router}
+ */
+function createWatchlistRouter({ store, io }) {
+  const router = express.Router();
+
+  router.use(requireUser);
+
+  async function sendWatchlist(req, res) {
+    const itemIds = await store.getWatchedItemIds(req.user.id);
+    io.to(userRoom(req.user.id)).emit('watchlist', { itemIds });
+    res.json({ itemIds });
+  }
+
+  router.get('/', asyncRoute(async (req, res) => {
+    res.json({ itemIds: await store.getWatchedItemIds(req.user.id) });
+  }));
+
+  router.put('/:id', asyncRoute(async (req, res) => {
+    const item = await store.getItem(Number(req.params.id));
+
+    if (!item || item.status === 'cancelled') {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    await store.watchItem(req.user.id, item.id);
+    io.in(userRoom(req.user.id)).socketsJoin(watchersRoom(item.id));
+    await sendWatchlist(req, res);
+  }));
+
+  router.delete('/:id', asyncRoute(async (req, res) => {
+    const itemId = Number(req.params.id);
+
+    await store.unwatchItem(req.user.id, itemId);
+    io.in(userRoom(req.user.id)).socketsLeave(watchersRoom(itemId));
+    await sendWatchlist(req, res);
+  }));
+
+  return router;
+}
+
+module.exports = createWatchlistRouter;
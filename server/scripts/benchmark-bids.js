@@ -0,0 +1,96 @@
+/**
+ * Bid throughput and correctness benchmark.
+ *
+ * Starts a local server (in-memory store), registers BENCH_CLIENTS users,
+ * connects one socket.io client each and fires BENCH_BIDS_PER_CLIENT bids per
+ * client all at once across the seeded lots. Then it checks every lot's bid
+ * log against what the clients were told and exits non-zero on any
+ * inconsistency or if throughput falls below BENCH_MIN_BPS.
+ *
+ * Usage: npm run bench
+ */
+const { startServer, connectClient, verifyBidLogs } = require('./lib/harness');
+
+const PORT = Number(process.env.BENCH_PORT || 3099);
+const CLIENTS = Number(process.env.BENCH_CLIENTS || 50);
+const BIDS_PER_CLIENT = Number(process.env.BENCH_BIDS_PER_CLIENT || 40);
+const MIN_BIDS_PER_SECOND = Number(process.env.BENCH_MIN_BPS || 100);
+const TIMEOUT_MS = Number(process.env.BENCH_TIMEOUT_MS || 60000);
+
+const BASE_URL = `http://localhost:${PORT}`;
+
+/**
+ * Fires all of one client's bids without waiting between them and resolves
+ * once every bid has been answered with bidSuccess or bidError.
+ */
+function fireBids(client) {
+  return new Promise((resolve) => {
+    const itemIds = [...client.items.keys()];
+    const answered = () => client.successes + client.errors === BIDS_PER_CLIENT && resolve();
+
+    client.socket.on('bidSuccess', () => { client.successes++; answered(); });
+    client.socket.on('bidError', () => { client.errors++; answered(); });
+
+    for (let i = 0; i < BIDS_PER_CLIENT; i++) {
+      const item = client.items.get(itemIds[Math.floor(Math.random() * itemIds.length)]);
+      const raise = Math.floor(Math.random() * 3) * item.bidIncrement;
+      client.socket.emit('placeBid', { itemId: item.id, amount: item.minimumBid + raise + i * item.bidIncrement });
+    }
+  });
+}
+
+async function main() {
+  const server = await startServer(PORT, {
+    STORAGE_DRIVER: 'memory',
+    REDIS_URL: '',
+    JWT_SECRET: 'benchmark-secret'
+  });
+  const clients = [];
+
+  const watchdog = setTimeout(() => {
+    console.error(`[BENCH] Timed out after ${TIMEOUT_MS}ms`);
+    server.kill();
+    process.exit(1);
+  }, TIMEOUT_MS);
+
+  try {
+    for (let i = 0; i < CLIENTS; i++) {
+      clients.push(await connectClient(BASE_URL, `bench_${i}`));
+    }
+
+    const totalBids = CLIENTS * BIDS_PER_CLIENT;
+    console.log(`[BENCH] ${CLIENTS} clients connected, firing ${totalBids} bids`);
+
+    const startedAt = process.hrtime.bigint();
+    await Promise.all(clients.map(fireBids));
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    const successes = clients.reduce((sum, c) => sum + c.successes, 0);
+    const bidsPerSecond = totalBids / seconds;
+
+    console.log(`[BENCH] ${totalBids} bids answered in ${seconds.toFixed(2)}s (${bidsPerSecond.toFixed(0)} bids/s)`);
+    console.log(`[BENCH] ${successes} accepted, ${totalBids - successes} rejected`);
+
+    const problems = await verifyBidLogs(BASE_URL, successes);
+
+    if (bidsPerSecond < MIN_BIDS_PER_SECOND) {
+      problems.push(`Throughput ${bidsPerSecond.toFixed(0)} bids/s is below the ${MIN_BIDS_PER_SECOND} bids/s floor`);
+    }
+
+    if (problems.length) {
+      problems.forEach(problem => console.error(`[BENCH] FAIL: ${problem}`));
+      process.exitCode = 1;
+    } else {
+      console.log('[BENCH] PASS: bid logs and final state are consistent');
+    }
+  } finally {
+    clearTimeout(watchdog);
+    clients.forEach(client => client.socket.close());
+    server.kill();
+  }
+}
+
+main().catch((err) => {
+  console.error('[BENCH] Error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * Shared plumbing for the scripts that drive real server processes:
+ * spawning servers, registering users, connecting socket clients and
+ * checking bid logs for consistency.
+ */
+const { spawn } = require('child_process');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_ENTRY = path.join(__dirname, '..', '..', 'index.js');
+
+// Every script drives load from one machine, so lift the abuse limits
+const UNLIMITED_ENV = {
+  BID_RATE_LIMIT_PER_IP: '0',
+  BID_RATE_LIMIT_PER_USER: '0',
+  MAX_CONNECTIONS_PER_IP: '0'
+};
+
+/**
+ * Spawns a server process and resolves once it is listening.
+ *
+ * @param {number} port - Port to listen on
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<import('child_process').ChildProcess>}
+ */
+function startServer(port, env = {}) {
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    env: { ...process.env, ...UNLIMITED_ENV, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    child.once('exit', code => reject(new Error(`Server on port ${port} exited early with code ${code}`)));
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('Server Running')) resolve(child);
+    });
+  });
+}
+
+async function postJson(baseUrl, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(`${route} failed: ${data.error}`);
+  return data;
+}
+
+async function getJson(baseUrl, route) {
+  const response = await fetch(`${baseUrl}${route}`);
+  return response.json();
+}
+
+/**
+ * Registers a fresh user and opens an authenticated socket that keeps
+ * a local copy of every item from initialState and bidSummary.
+ *
+ * @param {string} baseUrl - Server to register with and connect to
+ * @param {string} name - Username prefix
+ * @returns {Promise<{ socket: Object, user: Object, items: Map, successes: number, errors: number }>}
+ */
+async function connectClient(baseUrl, name) {
+  const { token, user } = await postJson(baseUrl, '/api/auth/register', {
+    username: `${name}_${Date.now().toString(36)}`,
+    password: 'benchmark-password'
+  });
+
+  const socket = io(baseUrl, { auth: { token }, transports: ['websocket'], forceNew: true });
+  const items = new Map();
+
+  socket.on('bidSummary', summary => items.set(summary.id, { ...items.get(summary.id), ...summary }));
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect_error', reject);
+    socket.once('initialState', ({ items: initial }) => {
+      initial.forEach(item => items.set(item.id, item));
+      resolve();
+    });
+  });
+
+  return { socket, user, items, successes: 0, errors: 0 };
+}
+
+async function getFullHistory(baseUrl, itemId) {
+  const bids = [];
+  let before;
+
+  do {
+    const query = before ? `?limit=100&before=${before}` : '?limit=100';
+    const page = await getJson(baseUrl, `/api/auctions/${itemId}/bids${query}`);
+    bids.push(...page.bids);
+    before = page.nextCursor;
+  } while (before);
+
+  return bids.reverse();
+}
+
+/**
+ * Cross-checks the final state of every lot against its bid log.
+ *
+ * @param {string} baseUrl - Server to read from
+ * @param {number} totalSuccesses - Accepted bids the clients were told about
+ * @returns {Promise<string[]>} Problems found (empty when consistent)
+ */
+async function verifyBidLogs(baseUrl, totalSuccesses) {
+  const problems = [];
+  const { items } = await getJson(baseUrl, '/api/auctions');
+  let manualBids = 0;
+
+  for (const item of items) {
+    const history = await getFullHistory(baseUrl, item.id);
+    manualBids += history.filter(bid => !bid.auto).length;
+
+    history.forEach((bid, i) => {
+      const previous = history[i - 1];
+      if (!previous) return;
+      if (bid.amount <= previous.amount) {
+        problems.push(`Item ${item.id}: bid #${bid.seq} (${bid.amount}) does not beat #${previous.seq} (${previous.amount})`);
+      }
+      if (bid.bidderId === previous.bidderId) {
+        problems.push(`Item ${item.id}: bidder outbid themselves at #${bid.seq}`);
+      }
+    });
+
+    const last = history[history.length - 1];
+    if (last && (last.amount !== item.currentBid || last.bidderId !== item.highestBidderId)) {
+      problems.push(`Item ${item.id}: final state ${item.currentBid} does not match last logged bid ${last.amount}`);
+    }
+  }
+
+  if (manualBids !== totalSuccesses) {
+    problems.push(`Clients saw ${totalSuccesses} accepted bids but the logs hold ${manualBids}`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  startServer,
+  postJson,
+  getJson,
+  connectClient,
+  getFullHistory,
+  verifyBidLogs
+};
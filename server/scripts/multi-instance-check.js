@@ -0,0 +1,121 @@
+/**
+ * Two-process check for multi-instance mode.
+ *
+ * Starts two servers sharing REDIS_URL (any Redis works as the stand-in,
+ * e.g. `docker compose -f docker-compose.scale.yml up redis`), then:
+ *   1. bids on node A and expects a client on node B, subscribed to the
+ *      lot, to see the bidUpdate;
+ *   2. fires concurrent bids at the same lots through both nodes and checks
+ *      that both nodes report the same, internally consistent state.
+ *
+ * Usage: REDIS_URL=redis://localhost:6379 npm run check:multi
+ */
+const { startServer, connectClient, getJson, verifyBidLogs } = require('./lib/harness');
+
+const REDIS_URL = process.env.REDIS_URL;
+const PORT_A = Number(process.env.MULTI_PORT_A || 3101);
+const PORT_B = Number(process.env.MULTI_PORT_B || 3102);
+const CLIENTS_PER_NODE = Number(process.env.MULTI_CLIENTS_PER_NODE || 10);
+const BIDS_PER_CLIENT = Number(process.env.MULTI_BIDS_PER_CLIENT || 20);
+const TIMEOUT_MS = Number(process.env.MULTI_TIMEOUT_MS || 60000);
+
+const URL_A = `http://localhost:${PORT_A}`;
+const URL_B = `http://localhost:${PORT_B}`;
+
+function fireBids(client) {
+  return new Promise((resolve) => {
+    const itemIds = [...client.items.keys()];
+    const answered = () => client.successes + client.errors === BIDS_PER_CLIENT && resolve();
+
+    client.socket.on('bidSuccess', () => { client.successes++; answered(); });
+    client.socket.on('bidError', () => { client.errors++; answered(); });
+
+    for (let i = 0; i < BIDS_PER_CLIENT; i++) {
+      const item = client.items.get(itemIds[i % itemIds.length]);
+      client.socket.emit('placeBid', { itemId: item.id, amount: item.minimumBid + i * item.bidIncrement });
+    }
+  });
+}
+
+async function main() {
+  if (!REDIS_URL) {
+    console.error('[MULTI] Set REDIS_URL to the Redis instance both servers should share');
+    process.exit(1);
+  }
+
+  // A fresh key namespace per run keeps earlier runs from leaking in
+  const env = {
+    REDIS_URL,
+    REDIS_KEY_PREFIX: `multi-check:${Date.now()}:`,
+    JWT_SECRET: 'multi-instance-secret'
+  };
+  const servers = [await startServer(PORT_A, env), await startServer(PORT_B, env)];
+  const clients = [];
+  const problems = [];
+
+  const watchdog = setTimeout(() => {
+    console.error(`[MULTI] Timed out after ${TIMEOUT_MS}ms`);
+    servers.forEach(server => server.kill());
+    process.exit(1);
+  }, TIMEOUT_MS);
+
+  try {
+    for (let i = 0; i < CLIENTS_PER_NODE; i++) {
+      clients.push(await connectClient(URL_A, `node_a_${i}`));
+      clients.push(await connectClient(URL_B, `node_b_${i}`));
+    }
+
+    // 1. Fan-out: a bid accepted by node A must reach a watcher connected to node B
+    const watcher = await connectClient(URL_B, 'watcher');
+    clients.push(watcher);
+
+    const bidder = clients[0];
+    const item = bidder.items.values().next().value;
+    // Full updates are room-scoped, so this also checks rooms span instances
+    await watcher.socket.timeout(5000).emitWithAck('subscribe', [item.id]);
+    const accepted = new Promise(resolve => bidder.socket.once('bidSuccess', resolve));
+    const seenOnB = new Promise(resolve => watcher.socket.on('bidUpdate', (update) => {
+      if (update.id === item.id && update.highestBidderId === bidder.user.id) resolve(true);
+    }));
+
+    bidder.socket.emit('placeBid', { itemId: item.id, amount: item.minimumBid });
+    await accepted;
+
+    const reached = await Promise.race([seenOnB, new Promise(resolve => setTimeout(resolve, 5000, false))]);
+    if (reached) {
+      console.log('[MULTI] PASS: bid on node A reached a client on node B');
+    } else {
+      problems.push('A bid on node A never reached a client on node B');
+    }
+
+    // 2. Contention: every client bids through its own node at the same time
+    await Promise.all(clients.map(fireBids));
+
+    // +1 for the fan-out bid above
+    const successes = clients.reduce((sum, c) => sum + c.successes, 0) + 1;
+    console.log(`[MULTI] ${clients.length * BIDS_PER_CLIENT} bids through two nodes, ${successes - 1} accepted`);
+
+    problems.push(...await verifyBidLogs(URL_A, successes));
+
+    const [stateA, stateB] = await Promise.all([getJson(URL_A, '/api/auctions'), getJson(URL_B, '/api/auctions')]);
+    if (JSON.stringify(stateA.items) !== JSON.stringify(stateB.items)) {
+      problems.push('Nodes A and B report different auction state');
+    }
+
+    if (problems.length) {
+      problems.forEach(problem => console.error(`[MULTI] FAIL: ${problem}`));
+      process.exitCode = 1;
+    } else {
+      console.log('[MULTI] PASS: both nodes agree and the bid logs are consistent');
+    }
+  } finally {
+    clearTimeout(watchdog);
+    clients.forEach(client => client.socket.close());
+    servers.forEach(server => server.kill());
+  }
+}
+
+main().catch((err) => {
+  console.error('[MULTI] Error:', err);
+  process.exit(1);
+});
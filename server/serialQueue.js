@@ -0,0 +1,47 @@
+/**
+ * Per-key FIFO task queue.
+ *
+ * Tasks sharing a key run one at a time in arrival order; tasks on different
+ * keys run independently. Each key's queue is just the tail of a promise
+ * chain, so waiting costs nothing (no polling) and a failed task never
+ * blocks the ones behind it.
+ *
+ * @returns {{ run: Function, size: Function }}
+ */
+function createSerialQueue() {
+  const tails = new Map();
+
+  /**
+   * Schedules `task` behind every task already queued under `key`.
+   *
+   * @param {*} key - Queue key (e.g. an item id)
+   * @param {Function} task - Async function to run exclusively for this key
+   * @returns {Promise<*>} Resolves/rejects with the task's own result
+   */
+  function run(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+
+    // The chain continues whether this task succeeds or fails
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+
+    // Drop idle keys so the map doesn't grow with every item ever bid on
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+
+    return result;
+  }
+
+  /**
+   * Number of keys with queued or running work.
+   */
+  function size() {
+    return tails.size;
+  }
+
+  return { run, size };
+}
+
+module.exports = createSerialQueue;
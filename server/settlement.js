@@ -0,0 +1,298 @@
+const { userRoom } = require('./rooms');
+const { DEFAULT_CURRENCY } = require('./money');
+const { OrderConflictError } = require('./storage/errors');
+
+/**
+ * Machine-readable reasons an order action is refused, sent as `code`
+ * alongside a human-readable `error` (like BidErrorCode for bids).
+ */
+const OrderErrorCode = Object.freeze({
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  ORDER_PAID: 'ORDER_PAID',
+  ORDER_EXPIRED: 'ORDER_EXPIRED',
+  PAYMENT_DECLINED: 'PAYMENT_DECLINED'
+});
+
+const OrderStatus = Object.freeze({
+  AWAITING_PAYMENT: 'awaiting_payment',
+  PAID: 'paid',
+  EXPIRED: 'expired'
+});
+
+function orderError(code, message) {
+  return { success: false, code, error: message };
+}
+
+/**
+ * What a buyer owes for a hammer price: the buyer's premium on top of it
+ * and sales tax on both. Each part is rounded to whole minor units.
+ *
+ * @param {number} hammerPrice - Minor units
+ * @param {Object} fees - { buyersPremiumPercent, salesTaxPercent }
+ * @returns {{ hammerPrice: number, buyersPremium: number, tax: number, total: number }}
+ */
+function computeCharges(hammerPrice, { buyersPremiumPercent, salesTaxPercent }) {
+  const buyersPremium = Math.round(hammerPrice * buyersPremiumPercent / 100);
+  const tax = Math.round((hammerPrice + buyersPremium) * salesTaxPercent / 100);
+  return { hammerPrice, buyersPremium, tax, total: hammerPrice + buyersPremium + tax };
+}
+
+/**
+ * Settlement of closed lots: an order for the winner, payment through the
+ * configured provider, and - when the winner lets the payment window lapse -
+ * one second-chance offer to the runner-up at their own highest bid.
+ *
+ * Creating and expiring a lot's orders runs in that lot's item lock, so two
+ * instances can never both create an order for the same lot. Payments stay
+ * out of the lock (a card processor can take longer than its lease) and
+ * record themselves with a compare-and-set on the order instead.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {import('socket.io').Server} deps.io - Socket.io server, for `order` events to the buyer
+ * @param {Function} deps.withItemLock - Per-item critical section (see ./itemLock)
+ * @param {Object} deps.payments - Payment provider (see ./payments)
+ * @param {Object} deps.fees - { buyersPremiumPercent, salesTaxPercent }
+ * @param {number} deps.paymentWindowMs - How long a buyer has to pay
+ * @returns {{ settleLot: Function, payOrder: Function, getBuyerOrders: Function, expireOverdueOrders: Function }}
+ */
+function createSettlement({ store, io, withItemLock, payments, fees, paymentWindowMs }) {
+  function announce(order) {
+    io.to(userRoom(order.buyerId)).emit('order', order);
+  }
+
+  async function createOrder(item, buyer, hammerPrice, { secondChance }) {
+    const now = Date.now();
+    const order = await store.createOrder({
+      itemId: item.id,
+      itemTitle: item.title,
+      buyerId: buyer.id,
+      buyerName: buyer.name,
+      currency: item.currency || DEFAULT_CURRENCY,
+      ...computeCharges(hammerPrice, fees),
+      secondChance,
+      status: OrderStatus.AWAITING_PAYMENT,
+      paymentAttempts: 0,
+      createdAt: now,
+      dueAt: now + paymentWindowMs
+    });
+
+    announce(order);
+    return order;
+  }
+
+  /**
+   * Creates the winner's order for a lot that has closed, then stamps the
+   * lot `settledAt` so the scheduler's sweep stops retrying it. Safe to call
+   * more than once: a lot already holding an order is only stamped.
+   *
+   * @param {number} itemId - The auction item ID
+   * @returns {Promise<Object|null>} The new order, or null (no winner, or already settled)
+   */
+  async function settleLot(itemId) {
+    return withItemLock(itemId, async () => {
+      const item = await store.getItem(itemId);
+
+      if (!item || item.status !== 'closed' || !item.winningBidderId || item.settledAt) {
+        return null;
+      }
+
+      let order = null;
+      if ((await store.getItemOrders(itemId)).length === 0) {
+        order = await createOrder(item, { id: item.winningBidderId, name: item.winningBidder }, item.winningBid, { secondChance: false });
+        console.log(`[ORDER] Order ${order.id} for auction ${itemId} - ${order.buyerName} owes ${order.total}`);
+      }
+
+      await store.saveItem({ ...item, settledAt: Date.now() });
+      return order;
+    });
+  }
+
+  /**
+   * Highest bid on the lot from anyone who has not had an order for it,
+   * provided it meets the reserve.
+   */
+  async function findRunnerUp(item, orders) {
+    const excluded = new Set(orders.map(order => order.buyerId));
+    const bids = await store.getBids(item.id);
+
+    // Newest first, so on equal amounts the earlier bid ends up on top
+    const best = bids
+      .filter(bid => !excluded.has(bid.bidderId))
+      .reduce((top, bid) => (!top || bid.amount >= top.amount ? bid : top), null);
+
+    return best && best.amount >= (item.reservePrice || 0) ? best : null;
+  }
+
+  /**
+   * Marks one unpaid order past its due time as expired and, if it was the
+   * winner's, offers the lot to the runner-up.
+   */
+  async function expireOrder(orderId, itemId, now) {
+    return withItemLock(itemId, async () => {
+      const order = await store.getOrder(orderId);
+      if (!order || order.status !== OrderStatus.AWAITING_PAYMENT || order.dueAt > now) {
+        return;
+      }
+
+      let expired;
+      try {
+        expired = await store.saveOrder({ ...order, status: OrderStatus.EXPIRED, expiredAt: now });
+      } catch (err) {
+        // A payment landed first; if the order is still unpaid, the next sweep retries
+        if (err instanceof OrderConflictError) return;
+        throw err;
+      }
+      announce(expired);
+      console.log(`[ORDER] Order ${order.id} for auction ${itemId} expired unpaid`);
+
+      // One second chance per lot; after that it goes unsold
+      if (order.secondChance) return;
+
+      const item = await store.getItem(itemId);
+      const runnerUp = item && await findRunnerUp(item, await store.getItemOrders(itemId));
+
+      if (runnerUp) {
+        const offer = await createOrder(item, { id: runnerUp.bidderId, name: runnerUp.bidderName }, runnerUp.amount, { secondChance: true });
+        console.log(`[ORDER] Second-chance offer ${offer.id} for auction ${itemId} to ${offer.buyerName}`);
+      }
+    });
+  }
+
+  /**
+   * Expires every unpaid order whose payment window has closed. Run from the
+   * scheduler's sweep on every instance; the item lock keeps it to one. An
+   * order that fails to expire is logged and left for the next sweep.
+   *
+   * @param {number} [now] - Current time (ms)
+   */
+  async function expireOverdueOrders(now = Date.now()) {
+    const overdue = await store.getOverdueOrders(now);
+
+    for (const order of overdue) {
+      try {
+        await expireOrder(order.id, order.itemId, now);
+      } catch (err) {
+        console.error(`[ERROR] Could not expire order ${order.id} for auction ${order.itemId}:`, err);
+      }
+    }
+  }
+
+  /**
+   * Pays one of the user's orders. Each attempt charges under its own
+   * idempotency key; a retry of the same attempt (a double submit, or a
+   * retry after a crash before the payment was recorded) reuses it and so
+   * gets the same charge back. See recordPayment() for charges that lose a
+   * race with another payment or the order's expiry.
+   *
+   * @param {string} orderId - Order to pay
+   * @param {Object} user - Authenticated buyer ({ id, username })
+   * @param {*} paymentToken - Card token from the client
+   * @returns {Promise<Object>} { success: true, order } or an order error
+   */
+  async function payOrder(orderId, user, paymentToken) {
+    if (typeof paymentToken !== 'string' || paymentToken.length === 0 || paymentToken.length > 200) {
+      return orderError(OrderErrorCode.INVALID_REQUEST, 'paymentToken must be a non-empty string');
+    }
+
+    const order = await store.getOrder(orderId);
+    if (!order || order.buyerId !== user.id) {
+      return orderError(OrderErrorCode.ORDER_NOT_FOUND, 'Order not found');
+    }
+
+    const refusal = paymentRefusal(order);
+    if (refusal) {
+      return refusal;
+    }
+
+    const charge = await payments.charge({
+      idempotencyKey: `${order.id}:${order.paymentAttempts}`,
+      amount: order.total,
+      currency: order.currency,
+      paymentToken,
+      description: order.itemTitle
+    });
+
+    if (!charge.succeeded) {
+      try {
+        await store.saveOrder({ ...order, paymentAttempts: order.paymentAttempts + 1 });
+      } catch (err) {
+        // Another attempt moved the order on; the next one re-reads it
+        if (!(err instanceof OrderConflictError)) throw err;
+      }
+      return orderError(OrderErrorCode.PAYMENT_DECLINED, charge.error || 'The payment was declined');
+    }
+
+    return recordPayment(order, charge);
+  }
+
+  function paymentRefusal(order) {
+    if (order.status === OrderStatus.PAID) {
+      return orderError(OrderErrorCode.ORDER_PAID, 'This order is already paid');
+    }
+    if (order.status === OrderStatus.EXPIRED || order.dueAt <= Date.now()) {
+      return orderError(OrderErrorCode.ORDER_EXPIRED, 'The payment window for this order has closed');
+    }
+    return null;
+  }
+
+  /**
+   * Marks an order paid by a successful charge. If the order changed while
+   * the card was charged it is re-read: a concurrent submit of the same
+   * attempt already recorded this very charge, an unrelated change (a
+   * declined attempt) is written over, and an order that was paid another
+   * way or expired meanwhile gets the charge refunded.
+   */
+  async function recordPayment(order, charge) {
+    let current = order;
+
+    for (;;) {
+      if (current.status === OrderStatus.PAID && current.paymentId === charge.id) {
+        return { success: true, order: current };
+      }
+      if (current.status !== OrderStatus.AWAITING_PAYMENT) {
+        break;
+      }
+
+      try {
+        const paid = await store.saveOrder({
+          ...current,
+          paymentAttempts: current.paymentAttempts + 1,
+          status: OrderStatus.PAID,
+          paidAt: Date.now(),
+          paymentId: charge.id
+        });
+        announce(paid);
+        console.log(`[ORDER] Order ${paid.id} for auction ${paid.itemId} paid`);
+        return { success: true, order: paid };
+      } catch (err) {
+        if (!(err instanceof OrderConflictError)) throw err;
+        current = await store.getOrder(order.id);
+      }
+    }
+
+    const refund = await payments.refund({ idempotencyKey: `refund:${charge.id}`, chargeId: charge.id });
+    if (refund.succeeded) {
+      console.log(`[ORDER] Order ${order.id} for auction ${order.itemId} was ${current.status} before charge ${charge.id} was recorded - refunded`);
+    } else {
+      console.error(`[ERROR] Refund of charge ${charge.id} for order ${order.id} failed:`, refund.error);
+    }
+    return paymentRefusal(current);
+  }
+
+  /**
+   * A user's orders, newest first.
+   *
+   * @param {string} buyerId - User id
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getBuyerOrders(buyerId) {
+    const orders = await store.getBuyerOrders(buyerId);
+    return orders.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  return { settleLot, payOrder, getBuyerOrders, expireOverdueOrders };
+}
+
+module.exports = { createSettlement, computeCharges, OrderErrorCode, OrderStatus };
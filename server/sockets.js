@@ -0,0 +1,236 @@
+const { verifyToken } = require('./auth');
+const { BidErrorCode, bidError, failureFor } = require('./bidErrors');
+const { userRoom, watchersRoom, itemRoom } = require('./rooms');
+
+// Upper bound on lots a resuming client may report, to keep resync cheap
+const MAX_RESUME_ITEMS = 1000;
+// Upper bound on lots one socket follows in full (roughly a screenful or two)
+const MAX_SUBSCRIPTIONS = 100;
+
+/**
+ * Reads the `lastSeen` map ({ itemId: version }) a reconnecting client sends
+ * in its handshake. Returns null for a fresh client (or an unusable map).
+ *
+ * @param {*} value - socket.handshake.auth.lastSeen
+ * @returns {Object<string, number>|null}
+ */
+function parseLastSeen(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  const entries = Object.entries(value)
+    .filter(([id, version]) => Number.isSafeInteger(Number(id)) && Number.isSafeInteger(version))
+    .slice(0, MAX_RESUME_ITEMS);
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Reads the item ids of a subscribe/unsubscribe event.
+ *
+ * @param {*} value - Event payload
+ * @returns {number[]|null} null when malformed
+ */
+function parseItemIds(value) {
+  if (!Array.isArray(value) || value.length > MAX_SUBSCRIPTIONS || !value.every(id => Number.isSafeInteger(id) && id > 0)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Shape of a placeBid acknowledgement: the public outcome without the
+ * previous leader's id or the recent-bids feed (that arrives in bidUpdate).
+ *
+ * @param {Object} result - submitBid() result
+ * @returns {Object}
+ */
+function toBidReply(result) {
+  if (!result.success) {
+    return result;
+  }
+  return {
+    success: true,
+    item: result.item,
+    outbidByProxy: result.outbidByProxy,
+    // The bid won the lot outright (Buy It Now, a Dutch acceptance)
+    closed: Boolean(result.closed),
+    replayed: Boolean(result.replayed)
+  };
+}
+
+function logFailure(event, socket, err) {
+  console.error(`[ERROR] ${event} failed for ${socket.id}:`, err);
+}
+
+// ============================================
+// SOCKET.IO HANDLERS
+// ============================================
+/**
+ * Installs handshake middleware and event handlers on the socket.io server.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} deps
+ * @param {Object} deps.store - Auction store
+ * @param {Object} deps.auctions - Auction service (see ./auctionService)
+ * @param {Function} deps.submitBid - Shared bid request layer (see ./bidSubmission)
+ * @param {Object} deps.connectionLimiter - Connection caps (see ./connectionLimiter)
+ * @param {Function} deps.clientIp - Resolves a handshake's address (see ./clientIp)
+ */
+function registerSocketHandlers(io, { store, auctions, submitBid, connectionLimiter, clientIp }) {
+  /**
+   * Handshake authentication. Clients pass their session token as
+   * `auth: { token }`; connections without one are allowed in read-only
+   * mode so visitors can watch before logging in. A bad token is rejected.
+   */
+  io.use((socket, next) => {
+    const { token } = socket.handshake.auth || {};
+
+    if (!token) {
+      socket.data.user = null;
+      return next();
+    }
+
+    const user = verifyToken(token);
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  });
+
+  /**
+   * Connection caps. Runs after authentication so a rejected handshake never
+   * holds a slot; the slot is released when the socket disconnects.
+   */
+  io.use((socket, next) => {
+    const ip = clientIp(socket.request);
+
+    if (!connectionLimiter.acquire(ip)) {
+      return next(new Error('Too many connections'));
+    }
+
+    socket.data.ip = ip;
+    socket.once('disconnect', () => connectionLimiter.release(ip));
+    next();
+  });
+
+  io.on('connection', (socket) => {
+    console.log(`[INFO] New client connected: ${socket.id}`);
+
+    // Fresh clients get the full state; a reconnecting client that reports
+    // the versions it last saw gets only what changed while it was away.
+    // Both carry the server's clock for a first estimate of the client's offset
+    const lastSeen = parseLastSeen(socket.handshake.auth?.lastSeen);
+    if (lastSeen) {
+      auctions.getResync(lastSeen)
+        .then(resync => socket.emit('resync', { ...resync, serverTime: Date.now() }))
+        .catch(err => logFailure('resync', socket, err));
+    } else {
+      auctions.getVisibleItems()
+        .then(items => socket.emit('initialState', { items, serverTime: Date.now() }))
+        .catch(err => logFailure('initialState', socket, err));
+    }
+
+    // Logged-in sessions join their personal room and learn which lots they're in,
+    // plus one watchers room per lot on their watchlist
+    const { user } = socket.data;
+    if (user) {
+      socket.join(userRoom(user.id));
+      store.getBidderItemIds(user.id)
+        .then(itemIds => socket.emit('bidderState', { itemIds }))
+        .catch(err => logFailure('bidderState', socket, err));
+      store.getWatchedItemIds(user.id)
+        .then((itemIds) => {
+          socket.join(itemIds.map(watchersRoom));
+          socket.emit('watchlist', { itemIds });
+        })
+        .catch(err => logFailure('watchlist', socket, err));
+    }
+
+    socket.on('placeBid', async (data, ack) => {
+      // Validation, placement and broadcast are shared with POST /api/bid
+      let result;
+      try {
+        result = await submitBid(data, socket.data.user, socket.data.ip);
+      } catch (err) {
+        // Answer anyway, so the client isn't left waiting for an ack that never comes
+        logFailure('placeBid', socket, err);
+        result = failureFor(err, { itemId: data?.itemId });
+      }
+
+      // Clients that pass an acknowledgement callback get the outcome there,
+      // tied to this exact emit; older clients get the separate events below
+      if (typeof ack === 'function') {
+        return ack(toBidReply(result));
+      }
+
+      if (result.success) {
+        // Confirm success to the bidder, flagging when a standing proxy beat them
+        socket.emit('bidSuccess', { ...result.item, outbidByProxy: result.outbidByProxy });
+      } else if (result.code === BidErrorCode.RATE_LIMITED) {
+        // Clients show this as a cooldown rather than an error
+        const { success, ...limited } = result;
+        socket.emit('rateLimited', limited);
+      } else {
+        const { success, ...failure } = result;
+        socket.emit('bidError', failure);
+      }
+    });
+
+    /**
+     * Follow lots in full (bidUpdate with the bid feed) while they are on
+     * screen. The ack carries their current state so the client starts
+     * from fresh data; every other lot only gets bidSummary.
+     */
+    socket.on('subscribe', async (data, ack) => {
+      const itemIds = parseItemIds(data);
+      const followed = new Set([...socket.rooms].filter(room => room.startsWith('item:')));
+      itemIds?.forEach(itemId => followed.add(itemRoom(itemId)));
+
+      if (!itemIds || followed.size > MAX_SUBSCRIPTIONS) {
+        if (typeof ack === 'function') {
+          ack(bidError(BidErrorCode.INVALID_REQUEST, `Send an array of at most ${MAX_SUBSCRIPTIONS} item ids`));
+        }
+        return;
+      }
+
+      socket.join(itemIds.map(itemRoom));
+      if (typeof ack !== 'function') {
+        return;
+      }
+
+      try {
+        ack({ success: true, items: await auctions.getLiveItems(itemIds) });
+      } catch (err) {
+        logFailure('subscribe', socket, err);
+        ack(failureFor(err));
+      }
+    });
+
+    socket.on('unsubscribe', (data) => {
+      const itemIds = parseItemIds(data);
+      if (itemIds) {
+        itemIds.forEach(itemId => socket.leave(itemRoom(itemId)));
+      }
+    });
+
+    /**
+     * Clock ping: countdowns run on server time, so clients measure their
+     * offset (and the round trip) from the time in this ack.
+     */
+    socket.on('timeSync', (ack) => {
+      if (typeof ack === 'function') {
+        ack({ serverTime: Date.now() });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`[INFO] Client disconnected: ${socket.id}`);
+    });
+  });
+}
+
+module.exports = registerSocketHandlers;
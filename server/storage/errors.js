@@ -0,0 +1,34 @@
+/**
+ * Raised by saveItem() when the item changed since it was read
+ * (optimistic concurrency / compare-and-set failure).
+ */
+class VersionConflictError extends Error {
+  constructor(itemId) {
+    super(`Item ${itemId} was modified concurrently`);
+    this.name = 'VersionConflictError';
+    this.itemId = itemId;
+  }
+}
+
+/**
+ * Raised by saveOrder() when the order changed since it was read.
+ */
+class OrderConflictError extends Error {
+  constructor(orderId) {
+    super(`Order ${orderId} was modified concurrently`);
+    this.name = 'OrderConflictError';
+    this.orderId = orderId;
+  }
+}
+
+/**
+ * Raised by createUser() when the username is already registered.
+ */
+class DuplicateUsernameError extends Error {
+  constructor(username) {
+    super(`Username already taken: ${username}`);
+    this.name = 'DuplicateUsernameError';
+  }
+}
+
+module.exports = { VersionConflictError, OrderConflictError, DuplicateUsernameError };
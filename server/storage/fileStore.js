@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { SCHEMA_VERSION, itemToMinorUnits, bidToMinorUnits } = require('./migrations');
+
+/**
+ * File-backed auction store. Keeps the working set in memory and writes a
+ * JSON snapshot to disk after every mutation, so auctions, winners, bid
+ * history, user accounts, watchlists and orders survive deploys and crashes.
+ *
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated snapshot behind. Writes are chained
+ * on a single promise to keep them in mutation order; a failed write (disk
+ * full, permissions) fails only the mutation that queued it, and the next
+ * one writes a complete snapshot again. A failed mutation is undone in
+ * memory before its caller hears about it, so a change reported as failed
+ * is never served or written out later.
+ *
+ * The snapshot records its `schemaVersion` (see ./migrations); an older
+ * snapshot is upgraded in memory on load and written back straight away.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {string} filePath - Location of the JSON snapshot
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+  }
+
+  async init(seedFn) {
+    let schemaVersion = SCHEMA_VERSION;
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      schemaVersion = data.schemaVersion ?? 1;
+
+      if (schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`${this.filePath} has schema version ${schemaVersion}; this server only knows up to ${SCHEMA_VERSION}`);
+      }
+
+      const legacy = schemaVersion < 2;
+      for (const item of data.items || []) {
+        this.items.set(item.id, legacy ? itemToMinorUnits(item) : item);
+      }
+      for (const [itemId, bids] of Object.entries(data.bids || {})) {
+        const item = this.items.get(Number(itemId));
+        this.bids.set(Number(itemId), legacy ? bids.map(bid => bidToMinorUnits(bid, item)) : bids);
+      }
+      for (const user of data.users || []) {
+        this.users.set(user.id, user);
+      }
+      for (const [userId, itemIds] of Object.entries(data.watchlists || {})) {
+        this.watchlists.set(userId, new Set(itemIds));
+      }
+      for (const order of data.orders || []) {
+        this.orders.set(order.id, order);
+        this.indexOrder(order);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    const wasEmpty = this.items.size === 0;
+    await super.init(seedFn);
+
+    if (schemaVersion < SCHEMA_VERSION) {
+      console.log(`[INFO] Upgraded ${this.filePath} from schema version ${schemaVersion} to ${SCHEMA_VERSION}`);
+    }
+    if (wasEmpty || schemaVersion < SCHEMA_VERSION) {
+      await this.persist();
+    }
+  }
+
+  async saveItem(item) {
+    const previous = this.items.get(item.id);
+    const saved = await super.saveItem(item);
+    await this.persist(() => restoreVersion(this.items, saved, previous));
+    return saved;
+  }
+
+  async appendBid(bid) {
+    const entry = await super.appendBid(bid);
+    await this.persist(() => {
+      const log = this.bids.get(bid.itemId);
+      const index = log.findIndex(logged => logged.seq === entry.seq);
+      if (index !== -1) log.splice(index, 1);
+    });
+    return entry;
+  }
+
+  async createUser(fields) {
+    const user = await super.createUser(fields);
+    await this.persist(() => this.users.delete(user.id));
+    return user;
+  }
+
+  async watchItem(userId, itemId) {
+    const watching = this.watchlists.get(userId)?.has(itemId);
+    await super.watchItem(userId, itemId);
+    await this.persist(() => {
+      if (!watching) this.watchlists.get(userId)?.delete(itemId);
+    });
+  }
+
+  async unwatchItem(userId, itemId) {
+    const watching = this.watchlists.get(userId)?.has(itemId);
+    await super.unwatchItem(userId, itemId);
+    await this.persist(() => {
+      if (watching) this.watchlists.get(userId)?.add(itemId);
+    });
+  }
+
+  async createOrder(fields) {
+    const order = await super.createOrder(fields);
+    await this.persist(() => {
+      this.orders.delete(order.id);
+      this.buyerOrders.get(order.buyerId)?.delete(order.id);
+      this.itemOrders.get(order.itemId)?.delete(order.id);
+      this.awaitingPayment.delete(order.id);
+    });
+    return order;
+  }
+
+  async saveOrder(order) {
+    const previous = this.orders.get(order.id);
+    const saved = await super.saveOrder(order);
+    await this.persist(() => {
+      if (restoreVersion(this.orders, saved, previous) && previous) {
+        this.indexOrder(previous);
+      }
+    });
+    return saved;
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+
+  /**
+   * Queues a snapshot write. The snapshot is taken when its turn comes, so a
+   * mutation undone after an earlier failed write is not carried to disk by
+   * the writes queued behind it.
+   *
+   * @param {Function} [undo] - Reverts the mutation in memory if the write fails
+   * @returns {Promise<void>} Settles when this snapshot is on disk (or failed)
+   */
+  persist(undo) {
+    const write = this.writeChain
+      .then(async () => {
+        const snapshot = JSON.stringify({
+          schemaVersion: SCHEMA_VERSION,
+          items: [...this.items.values()],
+          bids: Object.fromEntries(this.bids),
+          users: [...this.users.values()],
+          watchlists: Object.fromEntries([...this.watchlists].map(([userId, itemIds]) => [userId, [...itemIds]])),
+          orders: [...this.orders.values()]
+        }, null, 2);
+
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot);
+        await fs.promises.rename(tmpPath, this.filePath);
+      })
+      .catch(err => {
+        undo?.();
+        throw err;
+      });
+
+    // Keep the chain alive past a failure; the caller still sees its own
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Puts back the record a failed write replaced, unless a later write has
+ * replaced it again since.
+ *
+ * @param {Map} records - Id -> stored record (items or orders)
+ * @param {Object} saved - The record as the failed mutation stored it
+ * @param {Object} [previous] - The record it replaced, if any
+ * @returns {boolean} Whether it was put back
+ */
+function restoreVersion(records, saved, previous) {
+  if (records.get(saved.id)?.version !== saved.version) {
+    return false;
+  }
+  if (previous) {
+    records.set(saved.id, previous);
+  } else {
+    records.delete(saved.id);
+  }
+  return true;
+}
+
+module.exports = FileStore;
@@ -0,0 +1,41 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RedisStore = require('./redisStore');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'auctions.json');
+
+/**
+ * Builds the auction store selected by configuration.
+ *
+ * STORAGE_DRIVER=file (default) persists to STORAGE_PATH on disk.
+ * STORAGE_DRIVER=memory keeps everything in process (tests, demos).
+ * STORAGE_DRIVER=redis shares state between instances; it is chosen
+ * automatically when a Redis client is passed in (multi-instance mode), and
+ * namespaces its keys with REDIS_KEY_PREFIX (default "auction:").
+ *
+ * @param {Object} [options]
+ * @param {string} [options.driver] - 'file', 'memory' or 'redis'
+ * @param {string} [options.filePath] - Snapshot location for the file driver
+ * @param {import('ioredis').Redis} [options.redis] - Client for the redis driver
+ * @returns {MemoryStore|FileStore|RedisStore}
+ */
+function createStore(options = {}) {
+  const driver = options.driver || (options.redis ? 'redis' : process.env.STORAGE_DRIVER) || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options.filePath || process.env.STORAGE_PATH || DEFAULT_FILE_PATH);
+    case 'redis':
+      if (!options.redis) {
+        throw new Error('The redis storage driver needs REDIS_URL');
+      }
+      return new RedisStore(options.redis, { prefix: process.env.REDIS_KEY_PREFIX });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore, RedisStore };
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { VersionConflictError, OrderConflictError, DuplicateUsernameError } = require('./errors');
+
+/**
+ * In-memory auction store. State lives only as long as the process,
+ * which makes it the right choice for tests and throwaway demos.
+ *
+ * Every method is async so callers are written against the same contract
+ * as persistent backends. Items are cloned on the way in and out so callers
+ * can never mutate stored state without going through saveItem().
+ *
+ * Items carry a `version` that saveItem() checks and bumps, giving every
+ * backend the same compare-and-set semantics.
+ */
+class MemoryStore {
+  constructor() {
+    this.items = new Map();
+    this.bids = new Map();
+    this.users = new Map();
+    // User id -> Set of watched item ids
+    this.watchlists = new Map();
+    // Order id -> order for a won (or second-chance) lot
+    this.orders = new Map();
+    // Order indexes: buyer id / item id -> Set of order ids, and the ids of
+    // orders still awaiting payment, so no lookup scans every order
+    this.buyerOrders = new Map();
+    this.itemOrders = new Map();
+    this.awaitingPayment = new Set();
+    // Idempotency key -> { fingerprint, result, expiresAt }; short-lived, never persisted
+    this.idempotency = new Map();
+  }
+
+  /**
+   * Loads the store, seeding it when it holds no items yet.
+   *
+   * @param {Function} [seedFn] - Returns the default item list
+   */
+  async init(seedFn) {
+    if (this.items.size === 0 && seedFn) {
+      for (const item of seedFn()) {
+        this.items.set(item.id, structuredClone(item));
+      }
+    }
+  }
+
+  async getItems() {
+    return [...this.items.values()].map(item => structuredClone(item));
+  }
+
+  async getItem(id) {
+    const item = this.items.get(id);
+    return item ? structuredClone(item) : null;
+  }
+
+  /**
+   * Stores a new item under the next free numeric id.
+   *
+   * @param {Object} fields - Item fields without an id
+   * @returns {Promise<Object>} The created item
+   */
+  async createItem(fields) {
+    const id = Math.max(0, ...this.items.keys()) + 1;
+    return this.saveItem({ id, ...fields });
+  }
+
+  /**
+   * Writes an item if nobody else has since it was read.
+   *
+   * @param {Object} item - Item as previously read (its version is the expected one)
+   * @returns {Promise<Object>} The saved item with its new version
+   * @throws {VersionConflictError} When the stored version has moved on
+   */
+  async saveItem(item) {
+    const current = this.items.get(item.id);
+
+    if (current && current.version !== item.version) {
+      throw new VersionConflictError(item.id);
+    }
+
+    const saved = { ...item, version: (item.version || 0) + 1 };
+    this.items.set(item.id, structuredClone(saved));
+    return structuredClone(saved);
+  }
+
+  /**
+   * Appends an accepted bid to the item's history. The log is append-only;
+   * each entry gets a per-item sequence number starting at 1.
+   *
+   * @param {Object} bid - { itemId, amount, bidderId, bidderName, auto, placedAt }
+   * @returns {Promise<Object>} The stored bid, including its seq
+   */
+  async appendBid(bid) {
+    if (!this.bids.has(bid.itemId)) {
+      this.bids.set(bid.itemId, []);
+    }
+    const log = this.bids.get(bid.itemId);
+    const entry = { ...bid, seq: log.length + 1 };
+    log.push(structuredClone(entry));
+    return entry;
+  }
+
+  /**
+   * Reads an item's bid history newest first, one page at a time.
+   *
+   * @param {number} itemId - The auction item ID
+   * @param {Object} [options]
+   * @param {number} [options.before] - Only bids with a lower seq (the previous page's cursor)
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Array<Object>>}
+   */
+  async getBids(itemId, { before = Infinity, limit = Infinity } = {}) {
+    const log = this.bids.get(itemId) || [];
+    const page = [];
+
+    for (let i = Math.min(log.length, before - 1) - 1; i >= 0 && page.length < limit; i--) {
+      page.push(structuredClone(log[i]));
+    }
+    return page;
+  }
+
+  /**
+   * Ids of every item a user has bid on (manually or by proxy).
+   *
+   * @param {string} bidderId - User id
+   * @returns {Promise<number[]>}
+   */
+  async getBidderItemIds(bidderId) {
+    const itemIds = [];
+    for (const [itemId, bids] of this.bids) {
+      if (bids.some(bid => bid.bidderId === bidderId)) {
+        itemIds.push(itemId);
+      }
+    }
+    return itemIds;
+  }
+
+  /**
+   * Adds a lot to a user's watchlist. Watching twice is a no-op.
+   *
+   * @param {string} userId - User id
+   * @param {number} itemId - The auction item ID
+   */
+  async watchItem(userId, itemId) {
+    if (!this.watchlists.has(userId)) {
+      this.watchlists.set(userId, new Set());
+    }
+    this.watchlists.get(userId).add(itemId);
+  }
+
+  async unwatchItem(userId, itemId) {
+    this.watchlists.get(userId)?.delete(itemId);
+  }
+
+  /**
+   * Ids of every item on a user's watchlist, ascending.
+   *
+   * @param {string} userId - User id
+   * @returns {Promise<number[]>}
+   */
+  async getWatchedItemIds(userId) {
+    return [...(this.watchlists.get(userId) || [])].sort((a, b) => a - b);
+  }
+
+  /**
+   * Stores a new user account under a random id.
+   *
+   * @param {Object} fields - { username, passwordHash, createdAt }
+   * @returns {Promise<Object>} The created user record
+   * @throws {DuplicateUsernameError} When the username is taken (case-insensitive)
+   */
+  async createUser(fields) {
+    if (await this.getUserByUsername(fields.username)) {
+      throw new DuplicateUsernameError(fields.username);
+    }
+
+    const user = { id: crypto.randomUUID(), ...fields };
+    this.users.set(user.id, structuredClone(user));
+    return user;
+  }
+
+  async getUserById(id) {
+    const user = this.users.get(id);
+    return user ? structuredClone(user) : null;
+  }
+
+  /**
+   * Looks a user up by username, ignoring case.
+   */
+  async getUserByUsername(username) {
+    const wanted = username.toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.username.toLowerCase() === wanted) {
+        return structuredClone(user);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stores a new order under a random id, at version 1.
+   *
+   * @param {Object} fields - Order fields without an id (see ../settlement)
+   * @returns {Promise<Object>} The created order
+   */
+  async createOrder(fields) {
+    const order = { id: crypto.randomUUID(), ...fields, version: 1 };
+    this.orders.set(order.id, structuredClone(order));
+    this.indexOrder(order);
+    return order;
+  }
+
+  /**
+   * Compare-and-set write of an order, like saveItem().
+   *
+   * @param {Object} order - Order as read, with its changes applied
+   * @returns {Promise<Object>} The stored order, version bumped
+   * @throws {OrderConflictError} When the order changed since it was read
+   */
+  async saveOrder(order) {
+    const current = this.orders.get(order.id);
+
+    if (current && current.version !== order.version) {
+      throw new OrderConflictError(order.id);
+    }
+
+    const saved = { ...order, version: (order.version || 0) + 1 };
+    this.orders.set(saved.id, structuredClone(saved));
+    this.indexOrder(saved);
+    return structuredClone(saved);
+  }
+
+  async getOrder(id) {
+    const order = this.orders.get(id);
+    return order ? structuredClone(order) : null;
+  }
+
+  /**
+   * Every order made out to one user, in creation order.
+   *
+   * @param {string} buyerId - User id
+   * @returns {Promise<Array<Object>>}
+   */
+  async getBuyerOrders(buyerId) {
+    return this.getIndexedOrders(this.buyerOrders.get(buyerId));
+  }
+
+  /**
+   * Every order for one lot (the winner's, then any second-chance offer).
+   *
+   * @param {number} itemId - The auction item ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async getItemOrders(itemId) {
+    return this.getIndexedOrders(this.itemOrders.get(itemId));
+  }
+
+  /**
+   * Orders still awaiting payment whose due time has passed.
+   *
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getOverdueOrders(now) {
+    const overdue = [...this.awaitingPayment].filter(id => this.orders.get(id).dueAt <= now);
+    return this.getIndexedOrders(overdue);
+  }
+
+  getIndexedOrders(ids = []) {
+    return [...ids]
+      .map(id => structuredClone(this.orders.get(id)))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  indexOrder(order) {
+    for (const [index, key] of [[this.buyerOrders, order.buyerId], [this.itemOrders, order.itemId]]) {
+      if (!index.has(key)) {
+        index.set(key, new Set());
+      }
+      index.get(key).add(order.id);
+    }
+
+    if (order.status === 'awaiting_payment') {
+      this.awaitingPayment.add(order.id);
+    } else {
+      this.awaitingPayment.delete(order.id);
+    }
+  }
+
+  /**
+   * Claims an idempotency key for a request about to run.
+   *
+   * @param {string} key - Caller-scoped key
+   * @param {number} ttlMs - How long the key (and later its result) is kept
+   * @param {string} [fingerprint] - Digest of the request, kept with the key
+   * @returns {Promise<{ reserved: boolean, result: Object|null, fingerprint: string|null }>}
+   *   reserved=false when the key was already claimed, with the claiming
+   *   request's fingerprint; `result` is null while that request runs
+   */
+  async reserveIdempotencyKey(key, ttlMs, fingerprint = null) {
+    const now = Date.now();
+    this.pruneIdempotencyKeys(now);
+
+    const entry = this.idempotency.get(key);
+    if (entry && entry.expiresAt > now) {
+      return { reserved: false, result: structuredClone(entry.result), fingerprint: entry.fingerprint };
+    }
+
+    this.idempotency.set(key, { fingerprint, result: null, expiresAt: now + ttlMs });
+    return { reserved: true, result: null, fingerprint };
+  }
+
+  /**
+   * Records the outcome of the request holding `key`.
+   */
+  async saveIdempotencyResult(key, result, ttlMs, fingerprint = null) {
+    this.idempotency.set(key, { fingerprint, result: structuredClone(result), expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Frees a key whose request failed unexpectedly, so a retry can run.
+   */
+  async releaseIdempotencyKey(key) {
+    this.idempotency.delete(key);
+  }
+
+  pruneIdempotencyKeys(now) {
+    for (const [key, entry] of this.idempotency) {
+      if (entry.expiresAt <= now) this.idempotency.delete(key);
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
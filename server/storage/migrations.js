@@ -0,0 +1,59 @@
+const { minorUnitsPerMajor } = require('../money');
+
+/**
+ * Version of the stored data layout. FileStore and RedisStore record it
+ * alongside their data and upgrade older data once, at startup, before
+ * anything is served from it. Data without a version is version 1.
+ *
+ *   1  amounts in whole major units (dollars), every lot in USD
+ *   2  amounts in integer minor units of the lot's currency (see ../money)
+ */
+const SCHEMA_VERSION = 2;
+
+function toMinor(amount, factor) {
+  return typeof amount === 'number' ? Math.round(amount * factor) : amount;
+}
+
+/**
+ * Version 1 -> 2: an item with every stored amount (prices, winning bid,
+ * proxy ceiling, sealed bids, increment bands, Dutch schedule) in minor units.
+ *
+ * @param {Object} item - Item as stored under version 1
+ * @returns {Object}
+ */
+function itemToMinorUnits(item) {
+  const factor = minorUnitsPerMajor(item.currency);
+  const migrated = { ...item };
+
+  for (const field of ['startingPrice', 'currentBid', 'winningBid', 'reservePrice', 'buyNowPrice']) {
+    migrated[field] = toMinor(item[field], factor);
+  }
+  if (item.proxy) {
+    migrated.proxy = { ...item.proxy, maxAmount: toMinor(item.proxy.maxAmount, factor) };
+  }
+  if (item.sealedBids) {
+    migrated.sealedBids = Object.fromEntries(Object.entries(item.sealedBids)
+      .map(([bidderId, bid]) => [bidderId, { ...bid, amount: toMinor(bid.amount, factor) }]));
+  }
+  if (item.incrementTable) {
+    migrated.incrementTable = item.incrementTable
+      .map(row => ({ upTo: toMinor(row.upTo, factor), increment: toMinor(row.increment, factor) }));
+  }
+  if (item.dutch) {
+    migrated.dutch = { ...item.dutch, floorPrice: toMinor(item.dutch.floorPrice, factor), decrement: toMinor(item.dutch.decrement, factor) };
+  }
+  return migrated;
+}
+
+/**
+ * Version 1 -> 2: a logged bid with its amount in the lot's minor units.
+ *
+ * @param {Object} bid - Bid as stored under version 1
+ * @param {Object} item - The lot it was placed on
+ * @returns {Object}
+ */
+function bidToMinorUnits(bid, item) {
+  return { ...bid, amount: toMinor(bid.amount, minorUnitsPerMajor(item?.currency)) };
+}
+
+module.exports = { SCHEMA_VERSION, itemToMinorUnits, bidToMinorUnits };
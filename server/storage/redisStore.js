@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { VersionConflictError, OrderConflictError, DuplicateUsernameError } = require('./errors');
+const { SCHEMA_VERSION, itemToMinorUnits, bidToMinorUnits } = require('./migrations');
+
+/**
+ * Compare-and-set write of one item: succeeds only if the stored version
+ * still matches the version the caller read.
+ *
+ * KEYS[1] items hash, KEYS[2] item versions hash, ARGV[1] item id,
+ * ARGV[2] expected version ('' = none), ARGV[3] new item JSON,
+ * ARGV[4] new version. Returns 1 on success, 0 on conflict.
+ */
+const SAVE_ITEM_SCRIPT = `
+local currentVersion = redis.call('HGET', KEYS[2], ARGV[1]) or ''
+if currentVersion ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+return 1
+`;
+
+/**
+ * Compare-and-set write of one order, keeping the due-time index in step.
+ *
+ * KEYS[1] orders hash, KEYS[2] order versions hash, KEYS[3] due-time zset,
+ * ARGV[1] order id, ARGV[2] expected version ('' = none), ARGV[3] new order
+ * JSON, ARGV[4] new version, ARGV[5] due time while awaiting payment ('' once
+ * paid or expired). Returns 1 on success, 0 on conflict.
+ */
+const SAVE_ORDER_SCRIPT = `
+local currentVersion = redis.call('HGET', KEYS[2], ARGV[1]) or ''
+if currentVersion ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+if ARGV[5] == '' then
+  redis.call('ZREM', KEYS[3], ARGV[1])
+else
+  redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Redis-backed auction store for multi-instance deployments. Every server
+ * process reads and writes the same keys, and saveItem() is an atomic
+ * compare-and-set (Lua), so two processes can never both apply a bid
+ * computed from the same starting state.
+ *
+ * Key layout (all under `prefix`):
+ *   items               hash  id -> item JSON
+ *   items:version       hash  id -> version, checked by saveItem()
+ *   items:seq           counter for new item ids
+ *   bids:<itemId>       list  of bid JSON, append-only
+ *   bids:<itemId>:seq   counter for bid sequence numbers
+ *   bidder:<userId>     set   of item ids the user has bid on
+ *   watchlist:<userId>  set   of item ids the user is watching
+ *   users               hash  id -> user JSON
+ *   usernames           hash  lowercased username -> id
+ *   orders              hash  id -> order JSON
+ *   orders:version      hash  id -> version, checked by saveOrder()
+ *   orders:buyer:<userId>  set  of order ids made out to the user
+ *   orders:item:<itemId>   set  of order ids for the lot
+ *   orders:due          zset  ids of orders awaiting payment, scored by due time
+ *   seeded              flag  set once the default catalogue is loaded
+ *   schema              string  data layout version (see ./migrations)
+ *   idem:<key>          string  idempotency record JSON { fingerprint, result }, result
+ *                               null while the request runs; expires
+ */
+class RedisStore {
+  /**
+   * @param {import('ioredis').Redis} redis - Connected ioredis client
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Key namespace
+   */
+  constructor(redis, { prefix = 'auction:' } = {}) {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.redis.defineCommand('saveItemCas', { numberOfKeys: 2, lua: SAVE_ITEM_SCRIPT });
+    this.redis.defineCommand('saveOrderCas', { numberOfKeys: 3, lua: SAVE_ORDER_SCRIPT });
+  }
+
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  /**
+   * Upgrades older data to the current schema, then seeds the catalogue
+   * exactly once across all instances.
+   */
+  async init(seedFn) {
+    await this.migrate();
+    if (!seedFn) return;
+
+    const claimed = await this.redis.set(this.key('seeded'), '1', 'NX');
+    if (!claimed) return;
+
+    const items = seedFn().map(item => ({ ...item, version: 1 }));
+    const pipeline = this.redis.pipeline();
+    for (const item of items) {
+      pipeline.hset(this.key('items'), item.id, JSON.stringify(item));
+      pipeline.hset(this.key('items:version'), item.id, item.version);
+    }
+    pipeline.set(this.key('items:seq'), Math.max(0, ...items.map(item => item.id)));
+    await pipeline.exec();
+  }
+
+  /**
+   * Brings stored data up to SCHEMA_VERSION. Data without a `schema` key is
+   * version 1, unless there is none yet. The whole upgrade is one MULTI
+   * under WATCH, so instances starting together convert it exactly once: a
+   * write by anyone else in between aborts it, and it re-reads and retries.
+   */
+  async migrate() {
+    for (;;) {
+      const keys = [this.key('schema'), this.key('items')];
+      await this.redis.watch(...keys);
+
+      const [stored, itemCount] = await Promise.all([this.redis.get(keys[0]), this.redis.hlen(keys[1])]);
+      const version = stored ? Number(stored) : (itemCount > 0 ? 1 : SCHEMA_VERSION);
+
+      if (version === SCHEMA_VERSION && stored) {
+        await this.redis.unwatch();
+        return;
+      }
+      if (version > SCHEMA_VERSION) {
+        await this.redis.unwatch();
+        throw new Error(`Redis data under ${this.prefix} has schema version ${version}; this server only knows up to ${SCHEMA_VERSION}`);
+      }
+
+      const transaction = this.redis.multi();
+      if (version < 2) {
+        const items = (await this.getItems()).map(itemToMinorUnits);
+        for (const item of items) {
+          const bidsKey = this.key(`bids:${item.id}`);
+          await this.redis.watch(bidsKey);
+          const bids = (await this.redis.lrange(bidsKey, 0, -1)).map(json => bidToMinorUnits(JSON.parse(json), item));
+
+          transaction.hset(this.key('items'), item.id, JSON.stringify(item));
+          if (bids.length > 0) {
+            transaction.del(bidsKey).rpush(bidsKey, ...bids.map(bid => JSON.stringify(bid)));
+          }
+        }
+      }
+      transaction.set(this.key('schema'), SCHEMA_VERSION);
+
+      // null: a watched key changed under us
+      if (await transaction.exec()) {
+        if (version < SCHEMA_VERSION) {
+          console.log(`[INFO] Upgraded Redis data under ${this.prefix} from schema version ${version} to ${SCHEMA_VERSION}`);
+        }
+        return;
+      }
+    }
+  }
+
+  async getItems() {
+    const all = await this.redis.hvals(this.key('items'));
+    return all.map(json => JSON.parse(json)).sort((a, b) => a.id - b.id);
+  }
+
+  async getItem(id) {
+    const json = await this.redis.hget(this.key('items'), id);
+    return json ? JSON.parse(json) : null;
+  }
+
+  async createItem(fields) {
+    const id = await this.redis.incr(this.key('items:seq'));
+    return this.saveItem({ id, ...fields });
+  }
+
+  /**
+   * @throws {VersionConflictError} When another instance saved the item first
+   */
+  async saveItem(item) {
+    const saved = { ...item, version: (item.version || 0) + 1 };
+    const expected = item.version === undefined ? '' : String(item.version);
+    const ok = await this.redis.saveItemCas(
+      this.key('items'),
+      this.key('items:version'),
+      item.id,
+      expected,
+      JSON.stringify(saved),
+      saved.version
+    );
+
+    if (!ok) {
+      throw new VersionConflictError(item.id);
+    }
+    return saved;
+  }
+
+  async appendBid(bid) {
+    const seq = await this.redis.incr(this.key(`bids:${bid.itemId}:seq`));
+    const entry = { ...bid, seq };
+
+    await this.redis.pipeline()
+      .rpush(this.key(`bids:${bid.itemId}`), JSON.stringify(entry))
+      .sadd(this.key(`bidder:${bid.bidderId}`), bid.itemId)
+      .exec();
+
+    return entry;
+  }
+
+  async getBids(itemId, { before = Infinity, limit = Infinity } = {}) {
+    const length = await this.redis.llen(this.key(`bids:${itemId}`));
+    const end = Math.min(length, before - 1) - 1;
+    if (end < 0) return [];
+
+    const start = Number.isFinite(limit) ? Math.max(0, end - limit + 1) : 0;
+    const page = await this.redis.lrange(this.key(`bids:${itemId}`), start, end);
+    return page.map(json => JSON.parse(json)).reverse();
+  }
+
+  async getBidderItemIds(bidderId) {
+    const ids = await this.redis.smembers(this.key(`bidder:${bidderId}`));
+    return ids.map(Number).sort((a, b) => a - b);
+  }
+
+  async watchItem(userId, itemId) {
+    await this.redis.sadd(this.key(`watchlist:${userId}`), itemId);
+  }
+
+  async unwatchItem(userId, itemId) {
+    await this.redis.srem(this.key(`watchlist:${userId}`), itemId);
+  }
+
+  async getWatchedItemIds(userId) {
+    const ids = await this.redis.smembers(this.key(`watchlist:${userId}`));
+    return ids.map(Number).sort((a, b) => a - b);
+  }
+
+  /**
+   * @throws {DuplicateUsernameError} When the username is taken (case-insensitive)
+   */
+  async createUser(fields) {
+    const user = { id: crypto.randomUUID(), ...fields };
+    const claimed = await this.redis.hsetnx(this.key('usernames'), user.username.toLowerCase(), user.id);
+
+    if (!claimed) {
+      throw new DuplicateUsernameError(user.username);
+    }
+
+    await this.redis.hset(this.key('users'), user.id, JSON.stringify(user));
+    return user;
+  }
+
+  async getUserById(id) {
+    const json = await this.redis.hget(this.key('users'), id);
+    return json ? JSON.parse(json) : null;
+  }
+
+  async getUserByUsername(username) {
+    const id = await this.redis.hget(this.key('usernames'), username.toLowerCase());
+    return id ? this.getUserById(id) : null;
+  }
+
+  async createOrder(fields) {
+    const order = { id: crypto.randomUUID(), ...fields, version: 1 };
+
+    await this.redis.multi()
+      .hset(this.key('orders'), order.id, JSON.stringify(order))
+      .hset(this.key('orders:version'), order.id, order.version)
+      .sadd(this.key(`orders:buyer:${order.buyerId}`), order.id)
+      .sadd(this.key(`orders:item:${order.itemId}`), order.id)
+      .zadd(this.key('orders:due'), order.dueAt, order.id)
+      .exec();
+
+    return order;
+  }
+
+  /**
+   * @throws {OrderConflictError} When another instance saved the order first
+   */
+  async saveOrder(order) {
+    const saved = { ...order, version: (order.version || 0) + 1 };
+    const expected = order.version === undefined ? '' : String(order.version);
+    const ok = await this.redis.saveOrderCas(
+      this.key('orders'),
+      this.key('orders:version'),
+      this.key('orders:due'),
+      order.id,
+      expected,
+      JSON.stringify(saved),
+      saved.version,
+      saved.status === 'awaiting_payment' ? saved.dueAt : ''
+    );
+
+    if (!ok) {
+      throw new OrderConflictError(order.id);
+    }
+    return saved;
+  }
+
+  async getOrder(id) {
+    const json = await this.redis.hget(this.key('orders'), id);
+    return json ? JSON.parse(json) : null;
+  }
+
+  async getBuyerOrders(buyerId) {
+    return this.getOrdersById(await this.redis.smembers(this.key(`orders:buyer:${buyerId}`)));
+  }
+
+  async getItemOrders(itemId) {
+    return this.getOrdersById(await this.redis.smembers(this.key(`orders:item:${itemId}`)));
+  }
+
+  async getOverdueOrders(now) {
+    return this.getOrdersById(await this.redis.zrangebyscore(this.key('orders:due'), '-inf', now));
+  }
+
+  async getOrdersById(ids) {
+    if (ids.length === 0) return [];
+
+    const all = await this.redis.hmget(this.key('orders'), ...ids);
+    return all.filter(Boolean).map(json => JSON.parse(json)).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async reserveIdempotencyKey(key, ttlMs, fingerprint = null) {
+    const redisKey = this.key(`idem:${key}`);
+    const claimed = await this.redis.set(redisKey, JSON.stringify({ fingerprint, result: null }), 'PX', ttlMs, 'NX');
+
+    if (claimed) {
+      return { reserved: true, result: null, fingerprint };
+    }
+
+    // Expired between the two calls: report it as still running, the retry claims it
+    const stored = JSON.parse(await this.redis.get(redisKey)) || { fingerprint, result: null };
+    return { reserved: false, result: stored.result, fingerprint: stored.fingerprint };
+  }
+
+  async saveIdempotencyResult(key, result, ttlMs, fingerprint = null) {
+    await this.redis.set(this.key(`idem:${key}`), JSON.stringify({ fingerprint, result }), 'PX', ttlMs);
+  }
+
+  async releaseIdempotencyKey(key) {
+    await this.redis.del(this.key(`idem:${key}`));
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+module.exports = RedisStore;
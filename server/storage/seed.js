@@ -0,0 +1,19 @@
+/**
+ * Default auction catalogue used to seed an empty store.
+ * Built as a function so every fresh seed gets end times relative to "now".
+ * Prices are in minor units (cents) of each lot's currency.
+ *
+ * @returns {Array<Object>} Fresh auction items
+ */
+function createSeedItems() {
+  const auctionEndsAt = Date.now() + 900000;
+
+  return [
+    { id: 1, title: "Vintage Camera", startingPrice: 10000, currentBid: 10000, currency: "USD", highestBidderId: null, highestBidder: null, status: "open", auctionEndsAt, image: "https://images.unsplash.com/photo-1516035069371-29a1b244cc32", category: "Electronics", tags: ["film", "photography", "collectible"], description: "A fully working 1960s rangefinder camera with its original leather case." },
+    { id: 2, title: "Rare Painting", startingPrice: 50000, currentBid: 50000, currency: "USD", highestBidderId: null, highestBidder: null, status: "open", auctionEndsAt, image: "https://images.unsplash.com/photo-1579783902614-a3fb3927b6a5", category: "Art", tags: ["oil", "canvas", "landscape"], description: "An oil-on-canvas landscape by an unknown 19th-century painter, framed." },
+    { id: 3, title: "Antique Vase", startingPrice: 25000, currentBid: 25000, currency: "EUR", highestBidderId: null, highestBidder: null, status: "open", auctionEndsAt, image: "https://images.unsplash.com/photo-1618220179428-22790b461013", category: "Antiques", tags: ["ceramic", "decor"], description: "A hand-painted ceramic vase in excellent condition, no chips or repairs." },
+    { id: 4, title: "Classic Car Model", startingPrice: 100000, currentBid: 100000, currency: "USD", highestBidderId: null, highestBidder: null, status: "open", auctionEndsAt, image: "https://images.unsplash.com/photo-1605901309584-818e25960b8f", category: "Collectibles", tags: ["scale model", "automotive"], description: "A 1:18 die-cast model of a classic sports car, boxed." }
+  ];
+}
+
+module.exports = { createSeedItems };
@@ -0,0 +1,234 @@
+const { VersionConflictError } = require('../storage/errors');
+const { LockTimeoutError } = require('../redisLock');
+const { startTestServer, nextEvent, request } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+describe('admin auctions API', () => {
+  let server;
+  let previousToken;
+
+  beforeAll(() => {
+    previousToken = process.env.ADMIN_TOKEN;
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  });
+
+  afterAll(() => {
+    if (previousToken === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = previousToken;
+    }
+  });
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  function admin(method, route, body) {
+    return request(server.baseUrl, method, route, { token: ADMIN_TOKEN, body });
+  }
+
+  function newLot(overrides = {}) {
+    return {
+      title: 'Pocket Watch',
+      startingPrice: 2500,
+      image: 'https://example.com/watch.jpg',
+      auctionEndsAt: Date.now() + 600000,
+      ...overrides
+    };
+  }
+
+  describe('authorization', () => {
+    test.each([
+      ['no token', undefined],
+      ['a wrong token', 'not-the-admin-token']
+    ])('refuses a request with %s', async (_, token) => {
+      const created = await request(server.baseUrl, 'POST', '/api/auctions', { token, body: newLot() });
+      const patched = await request(server.baseUrl, 'PATCH', '/api/auctions/1', { token, body: { title: 'Renamed' } });
+      const cancelled = await request(server.baseUrl, 'DELETE', '/api/auctions/1', { token });
+
+      expect([created.status, patched.status, cancelled.status]).toEqual([401, 401, 401]);
+      expect(await server.store.getItem(1)).toMatchObject({ title: 'Test Camera', status: 'open' });
+    });
+
+    test('is disabled without ADMIN_TOKEN', async () => {
+      delete process.env.ADMIN_TOKEN;
+      try {
+        const { status } = await admin('POST', '/api/auctions', newLot());
+
+        expect(status).toBe(503);
+      } finally {
+        process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+      }
+    });
+  });
+
+  describe('POST /api/auctions', () => {
+    test('creates an open lot and announces it', async () => {
+      const { socket } = await server.connect();
+      const announced = nextEvent(socket, 'auctionCreated');
+
+      const { status, body } = await admin('POST', '/api/auctions', newLot({ reservePrice: 4000 }));
+
+      expect(status).toBe(201);
+      expect(body.item).toMatchObject({ id: 4, title: 'Pocket Watch', currentBid: 2500, currency: 'USD', reservePrice: 4000, status: 'open' });
+      const item = await announced;
+      expect(item).toMatchObject({ id: 4, hasReserve: true });
+      expect(item).not.toHaveProperty('reservePrice');
+    });
+
+    test.each([
+      ['title', { title: '  ' }],
+      ['startingPrice', { startingPrice: 25.5 }],
+      ['image', { image: 'ftp://example.com/watch.jpg' }],
+      ['auctionEndsAt', { auctionEndsAt: Date.now() - 1000 }],
+      ['currency', { currency: 'dollars' }],
+      ['buyNowPrice', { buyNowPrice: 1000 }]
+    ])('rejects a bad %s', async (field, overrides) => {
+      const { status, body } = await admin('POST', '/api/auctions', newLot(overrides));
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(field);
+      expect(await server.store.getItem(4)).toBeNull();
+    });
+
+    test('rejects a lot missing required fields', async () => {
+      const { status, body } = await admin('POST', '/api/auctions', {});
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/title.*startingPrice.*image.*auctionEndsAt/);
+    });
+  });
+
+  describe('PATCH /api/auctions/:id', () => {
+    test('updates a lot and announces it', async () => {
+      const { socket } = await server.connect();
+      const announced = nextEvent(socket, 'auctionUpdated');
+
+      const { status, body } = await admin('PATCH', '/api/auctions/1', { title: 'Renamed Camera', startingPrice: 300 });
+
+      expect(status).toBe(200);
+      expect(body.item).toMatchObject({ title: 'Renamed Camera', startingPrice: 300, currentBid: 300 });
+      expect(await announced).toMatchObject({ id: 1, title: 'Renamed Camera' });
+    });
+
+    test('rejects invalid fields and leaves the lot alone', async () => {
+      const { status, body } = await admin('PATCH', '/api/auctions/1', { title: '', format: 'dutch' });
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/title.*format/);
+      expect((await server.store.getItem(1)).title).toBe('Test Camera');
+    });
+
+    test('answers 404 for an unknown or cancelled lot', async () => {
+      await admin('DELETE', '/api/auctions/2');
+
+      const unknown = await admin('PATCH', '/api/auctions/99', { title: 'Renamed' });
+      const cancelled = await admin('PATCH', '/api/auctions/2', { title: 'Renamed' });
+
+      expect([unknown.status, cancelled.status]).toEqual([404, 404]);
+    });
+
+    test('refuses to edit a closed lot', async () => {
+      const item = await server.store.getItem(1);
+      await server.store.saveItem({ ...item, status: 'closed' });
+
+      const { status } = await admin('PATCH', '/api/auctions/1', { title: 'Renamed' });
+
+      expect(status).toBe(409);
+    });
+
+    test('refuses a new startingPrice once bidding has started', async () => {
+      const { token } = await server.createUser('bidder');
+      await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+
+      const { status } = await admin('PATCH', '/api/auctions/1', { startingPrice: 50 });
+
+      expect(status).toBe(409);
+      expect((await server.store.getItem(1)).startingPrice).toBe(100);
+    });
+
+    test('refuses a new start time once the lot has opened', async () => {
+      const { status } = await admin('PATCH', '/api/auctions/1', { auctionStartsAt: Date.now() + 60000 });
+
+      expect(status).toBe(409);
+    });
+
+    test('refuses a new startingPrice once a sealed bid is in', async () => {
+      const item = await server.store.getItem(1);
+      await server.store.saveItem({ ...item, format: 'sealed', sealedPricing: 'first' });
+      const { token } = await server.createUser('sealed');
+      await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 200 } });
+
+      const { status } = await admin('PATCH', '/api/auctions/1', { startingPrice: 50000 });
+
+      expect(status).toBe(409);
+      expect((await server.store.getItem(1)).startingPrice).toBe(100);
+    });
+  });
+
+  describe('DELETE /api/auctions/:id', () => {
+    test('cancels a lot, keeping it but hiding it from bidders', async () => {
+      const { socket } = await server.connect();
+      const announced = nextEvent(socket, 'auctionCancelled');
+
+      const { status, body } = await admin('DELETE', '/api/auctions/1');
+      const listing = await request(server.baseUrl, 'GET', '/api/auctions');
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ success: true, id: 1 });
+      expect(await announced).toEqual({ id: 1 });
+      expect(listing.body.items.map(item => item.id)).not.toContain(1);
+      expect((await server.store.getItem(1)).status).toBe('cancelled');
+    });
+
+    test('answers 404 for an unknown or already cancelled lot', async () => {
+      await admin('DELETE', '/api/auctions/1');
+
+      const again = await admin('DELETE', '/api/auctions/1');
+      const unknown = await admin('DELETE', '/api/auctions/99');
+
+      expect([again.status, unknown.status]).toEqual([404, 404]);
+    });
+
+    test('refuses to cancel a closed lot', async () => {
+      const item = await server.store.getItem(1);
+      await server.store.saveItem({ ...item, status: 'closed' });
+
+      const { status } = await admin('DELETE', '/api/auctions/1');
+
+      expect(status).toBe(409);
+      expect((await server.store.getItem(1)).status).toBe('closed');
+    });
+  });
+
+  describe('contention', () => {
+    test('a lost compare-and-set answers 409 CONFLICT', async () => {
+      server.store.saveItem = async (item) => {
+        throw new VersionConflictError(item.id);
+      };
+
+      const patched = await admin('PATCH', '/api/auctions/1', { title: 'Renamed' });
+      const cancelled = await admin('DELETE', '/api/auctions/1');
+
+      expect(patched).toMatchObject({ status: 409, body: { code: 'CONFLICT' } });
+      expect(cancelled).toMatchObject({ status: 409, body: { code: 'CONFLICT' } });
+    });
+
+    test('a lot lock that times out answers 503 UNAVAILABLE', async () => {
+      server.store.getItem = async () => {
+        throw new LockTimeoutError('auction:lock:item:1');
+      };
+
+      const { status, body } = await admin('PATCH', '/api/auctions/1', { title: 'Renamed' });
+
+      expect(status).toBe(503);
+      expect(body).toMatchObject({ success: false, code: 'UNAVAILABLE' });
+    });
+  });
+});
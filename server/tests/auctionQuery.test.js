@@ -0,0 +1,85 @@
+const { parseAuctionQuery, queryAuctions } = require('../auctionQuery');
+
+const items = [
+  { id: 1, title: 'Vintage Camera', description: 'Rangefinder with case', category: 'Electronics', tags: ['film'], currentBid: 120, status: 'open', auctionEndsAt: 3000 },
+  { id: 2, title: 'Rare Painting', description: 'Oil on canvas', category: 'Art', tags: ['landscape'], currentBid: 800, status: 'open', auctionEndsAt: 1000 },
+  { id: 3, title: 'Film Poster', description: '', category: 'Art', tags: ['film', 'print'], currentBid: 40, status: 'closed', auctionEndsAt: 500 },
+  { id: 4, title: 'Legacy Lot', currentBid: 60, status: 'open', auctionEndsAt: 2000 }
+];
+
+function run(query) {
+  const { value, error } = parseAuctionQuery(query);
+  if (error) throw new Error(error);
+  return queryAuctions(items, value);
+}
+
+const ids = result => result.items.map(item => item.id);
+
+describe('parseAuctionQuery', () => {
+  test('defaults to catalogue order, first page', () => {
+    expect(parseAuctionQuery({})).toEqual({ value: { sort: 'default', page: 1, limit: 50 } });
+  });
+
+  test.each([
+    [{ status: 'sold' }, 'status'],
+    [{ sort: 'random' }, 'sort'],
+    [{ minPrice: '-1' }, 'minPrice'],
+    [{ maxPrice: 'cheap' }, 'maxPrice'],
+    [{ minPrice: '50', maxPrice: '10', currency: 'USD' }, 'minPrice'],
+    [{ minPrice: '50' }, 'currency'],
+    [{ currency: 'dollars' }, 'currency'],
+    [{ page: '0' }, 'page'],
+    [{ limit: '500' }, 'limit'],
+    [{ q: 'x'.repeat(101) }, 'q']
+  ])('rejects %o', (query, field) => {
+    expect(parseAuctionQuery(query).error).toMatch(field);
+  });
+});
+
+describe('queryAuctions', () => {
+  test('searches title, description, category and tags, requiring every term', () => {
+    expect(ids(run({ q: 'film' }))).toEqual([1, 3]);
+    expect(ids(run({ q: 'canvas' }))).toEqual([2]);
+    expect(ids(run({ q: 'film art' }))).toEqual([3]);
+  });
+
+  test('filters by category case-insensitively', () => {
+    expect(ids(run({ category: 'art' }))).toEqual([2, 3]);
+  });
+
+  test('filters by status and price range', () => {
+    expect(ids(run({ status: 'closed' }))).toEqual([3]);
+    expect(ids(run({ minPrice: '50', maxPrice: '200', currency: 'USD' }))).toEqual([1, 4]);
+  });
+
+  test('compares prices only between lots in the requested currency', () => {
+    const { value } = parseAuctionQuery({ minPrice: '50', maxPrice: '200', currency: 'jpy' });
+    const yen = { id: 5, title: 'Netsuke', currentBid: 150, currency: 'JPY', status: 'open', auctionEndsAt: 4000 };
+
+    const result = queryAuctions([...items, yen], value);
+
+    expect(ids(result)).toEqual([5]);
+    expect(result.currencies).toEqual(['JPY', 'USD']);
+  });
+
+  test('sorts running lots ending soonest first, finished lots last', () => {
+    expect(ids(run({ sort: 'ending_soon' }))).toEqual([2, 4, 1, 3]);
+  });
+
+  test('sorts by price and recency', () => {
+    expect(ids(run({ sort: 'price_desc' }))).toEqual([2, 1, 4, 3]);
+    expect(ids(run({ sort: 'price_asc' }))).toEqual([3, 4, 1, 2]);
+    expect(ids(run({ sort: 'newest' }))).toEqual([4, 3, 2, 1]);
+  });
+
+  test('pages results and reports the total', () => {
+    const result = run({ limit: '2', page: '2' });
+
+    expect(ids(result)).toEqual([3, 4]);
+    expect(result).toMatchObject({ total: 4, page: 2, limit: 2 });
+  });
+
+  test('lists every category for filter menus', () => {
+    expect(run({ category: 'art' }).categories).toEqual(['Art', 'Electronics']);
+  });
+});
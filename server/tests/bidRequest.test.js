@@ -0,0 +1,45 @@
+const { validateBidRequest } = require('../bidRequest');
+
+describe('validateBidRequest', () => {
+  test('accepts a well-formed bid', () => {
+    expect(validateBidRequest({ itemId: 1, amount: 150 })).toEqual({ value: { itemId: 1, amount: 150 } });
+  });
+
+  test('needs no amount for an accept', () => {
+    expect(validateBidRequest({ itemId: 1, accept: true })).toEqual({ value: { itemId: 1, accept: true } });
+    expect(validateBidRequest({ itemId: 1, accept: false }).error).toMatchObject({ code: 'INVALID_REQUEST', field: 'amount' });
+  });
+
+  test('keeps an optional maxAmount', () => {
+    const { value } = validateBidRequest({ itemId: 2, amount: 150, maxAmount: 300 });
+    expect(value.maxAmount).toBe(300);
+  });
+
+  test.each([
+    ['a missing body', undefined],
+    ['an array body', [1, 150]],
+    ['a string itemId', { itemId: '1', amount: 150 }],
+    ['a fractional itemId', { itemId: 1.5, amount: 150 }],
+    ['a string amount', { itemId: 1, amount: '150' }],
+    ['a negative amount', { itemId: 1, amount: -5 }],
+    ['an infinite amount', { itemId: 1, amount: Infinity }],
+    ['an absurd amount', { itemId: 1, amount: 1e12 }],
+    ['a sub-cent amount', { itemId: 1, amount: 150.5 }],
+    ['a fractional maxAmount', { itemId: 1, amount: 150, maxAmount: 300.25 }],
+    ['a NaN maxAmount', { itemId: 1, amount: 150, maxAmount: NaN }],
+    ['a string buyNow', { itemId: 1, amount: 150, buyNow: 'yes' }]
+  ])('rejects %s as INVALID_REQUEST', (label, payload) => {
+    const { error } = validateBidRequest(payload);
+    expect(error).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+  });
+
+  test('names the offending field', () => {
+    const { error } = validateBidRequest({ itemId: 1, amount: 'lots' });
+    expect(error.field).toBe('amount');
+  });
+
+  test('rejects a max bid below the bid', () => {
+    const { error } = validateBidRequest({ itemId: 1, amount: 200, maxAmount: 150 });
+    expect(error).toMatchObject({ code: 'MAX_BELOW_BID' });
+  });
+});
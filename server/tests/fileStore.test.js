@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../storage');
+const { createTestItems } = require('./helpers');
+
+describe('FileStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'auction-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('brings back everything it stored after a restart', async () => {
+    const filePath = path.join(dir, 'auctions.json');
+    const store = new FileStore(filePath);
+    await store.init(createTestItems);
+
+    const user = await store.createUser({ username: 'Alice', passwordHash: 'hash' });
+    const item = await store.getItem(1);
+    const saved = await store.saveItem({ ...item, currentBid: 150, highestBidderId: user.id, highestBidder: 'Alice' });
+    await store.appendBid({ itemId: 1, amount: 150, bidderId: user.id, bidderName: 'Alice', auto: false, placedAt: 1 });
+    await store.watchItem(user.id, 2);
+    const order = await store.createOrder({ itemId: 3, buyerId: user.id, total: 500, status: 'awaiting_payment', createdAt: 1, dueAt: 10 });
+    await store.close();
+
+    const restarted = new FileStore(filePath);
+    await restarted.init(createTestItems);
+
+    expect(await restarted.getItem(1)).toEqual(saved);
+    expect(await restarted.getBids(1)).toEqual([expect.objectContaining({ amount: 150, bidderId: user.id, seq: 1 })]);
+    expect(await restarted.getBidderItemIds(user.id)).toEqual([1]);
+    expect(await restarted.getUserByUsername('alice')).toMatchObject({ id: user.id });
+    expect(await restarted.getWatchedItemIds(user.id)).toEqual([2]);
+    expect(await restarted.getItemOrders(3)).toEqual([order]);
+    expect(await restarted.getOverdueOrders(10)).toEqual([order]);
+  });
+
+  test('hands back a saved order at its new version', async () => {
+    const store = new FileStore(path.join(dir, 'auctions.json'));
+    await store.init(createTestItems);
+
+    const order = await store.createOrder({ itemId: 3, buyerId: 'u1', total: 500, status: 'awaiting_payment', createdAt: 1, dueAt: 10 });
+    const paid = await store.saveOrder({ ...order, status: 'paid' });
+    const expired = await store.saveOrder({ ...paid, status: 'expired' });
+    await store.close();
+
+    expect(paid.version).toBe(order.version + 1);
+    expect(expired).toEqual(await store.getOrder(order.id));
+  });
+
+  test('keeps writing after a failed snapshot', async () => {
+    const filePath = path.join(dir, 'auctions.json');
+    const store = new FileStore(filePath);
+    await store.init(createTestItems);
+
+    // A file where the snapshot's directory should be makes every write fail
+    await fs.promises.writeFile(path.join(dir, 'blocked'), '');
+    store.filePath = path.join(dir, 'blocked', 'auctions.json');
+    const item = await store.getItem(1);
+    await expect(store.saveItem({ ...item, title: 'Lost' })).rejects.toThrow();
+    await expect(store.appendBid({ itemId: 1, amount: 150, bidderId: 'u1', bidderName: 'ann', auto: false, placedAt: 1 })).rejects.toThrow();
+    const afterFailure = await store.getItem(1);
+    const bidsAfterFailure = await store.getBids(1);
+
+    store.filePath = filePath;
+    const saved = await store.saveItem({ ...afterFailure, title: 'Kept' });
+    await store.close();
+
+    expect(afterFailure).toEqual(item);
+    expect(bidsAfterFailure).toEqual([]);
+    expect(saved.title).toBe('Kept');
+    expect(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).items[0].title).toBe('Kept');
+  });
+
+  test('upgrades a snapshot of whole-dollar amounts to minor units once', async () => {
+    const filePath = path.join(dir, 'auctions.json');
+    const legacy = {
+      items: [{ id: 1, title: 'Lamp', startingPrice: 100, currentBid: 120, highestBidderId: 'u1', highestBidder: 'ann', proxy: { bidderId: 'u1', maxAmount: 150 }, status: 'open', auctionEndsAt: Date.now() + 60000 }],
+      bids: { 1: [{ itemId: 1, amount: 120, bidderId: 'u1', bidderName: 'ann', seq: 1 }] }
+    };
+    await fs.promises.writeFile(filePath, JSON.stringify(legacy));
+
+    const store = new FileStore(filePath);
+    await store.init(createTestItems);
+    await store.close();
+    const restarted = new FileStore(filePath);
+    await restarted.init(createTestItems);
+
+    expect(await restarted.getItem(1)).toMatchObject({ startingPrice: 10000, currentBid: 12000, proxy: { maxAmount: 15000 } });
+    expect((await restarted.getBids(1)).map(bid => bid.amount)).toEqual([12000]);
+    expect(JSON.parse(await fs.promises.readFile(filePath, 'utf8')).schemaVersion).toBe(2);
+  });
+});
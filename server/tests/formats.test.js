@@ -0,0 +1,177 @@
+const createAuctionService = require('../auctionService');
+const createItemLock = require('../itemLock');
+const { MemoryStore } = require('../storage');
+const { createTestItems } = require('./helpers');
+
+const alice = { id: 'user-alice', username: 'alice' };
+const bob = { id: 'user-bob', username: 'bob' };
+const carol = { id: 'user-carol', username: 'carol' };
+
+/**
+ * A service whose lot 1 has the given extra fields (format and its settings).
+ */
+async function createService(lotFields) {
+  const store = new MemoryStore();
+  await store.init(() => createTestItems().map(item => (item.id === 1 ? { ...item, ...lotFields } : item)));
+  const auctions = createAuctionService({ store, withItemLock: createItemLock(), softClose: { windowMs: 60000, extensionMs: 30000 } });
+  return { store, auctions };
+}
+
+async function endLot(store, itemId) {
+  const item = await store.getItem(itemId);
+  await store.saveItem({ ...item, auctionEndsAt: Date.now() - 1 });
+}
+
+describe('Buy It Now', () => {
+  test('ends the lot at the listed price', async () => {
+    const { auctions, store } = await createService({ buyNowPrice: 400 });
+    await auctions.placeBid(1, 150, bob, 350);
+
+    const result = await auctions.placeBid(1, 400, alice, undefined, { buyNow: true });
+
+    expect(result).toMatchObject({ success: true, closed: true, previousLeaderId: bob.id });
+    expect(result.item).toMatchObject({ status: 'closed', winningBidderId: alice.id, winningBid: 400, buyNowAvailable: false });
+    expect((await store.getItem(1)).proxy).toBeNull();
+  });
+
+  test('is withdrawn once bidding reaches the price', async () => {
+    const { auctions } = await createService({ buyNowPrice: 400 });
+    await auctions.placeBid(1, 400, bob);
+
+    const result = await auctions.placeBid(1, 400, alice, undefined, { buyNow: true });
+
+    expect(result).toMatchObject({ success: false, code: 'BUY_NOW_UNAVAILABLE' });
+  });
+
+  test('requires the amount to cover the price', async () => {
+    const { auctions } = await createService({ buyNowPrice: 400 });
+
+    const result = await auctions.placeBid(1, 300, alice, undefined, { buyNow: true });
+
+    expect(result).toMatchObject({ success: false, code: 'BID_TOO_LOW', minimumBid: 400 });
+  });
+});
+
+describe('sealed-bid auctions', () => {
+  test('hide the bidding until close', async () => {
+    const { auctions } = await createService({ format: 'sealed' });
+    await auctions.placeBid(1, 300, alice);
+
+    const result = await auctions.placeBid(1, 200, bob);
+    const [live] = await auctions.getLiveItems([1]);
+
+    expect(result.item).toMatchObject({ currentBid: 100, highestBidderId: null, highestBidder: null, bidCount: 2, reserveMet: false });
+    expect(result.item).not.toHaveProperty('sealedBids');
+    expect(result.recentBids).toEqual([]);
+    expect(live.recentBids).toEqual([]);
+  });
+
+  test('let a bidder raise but not lower their bid', async () => {
+    const { auctions } = await createService({ format: 'sealed' });
+    await auctions.placeBid(1, 300, alice);
+
+    expect(await auctions.placeBid(1, 250, alice)).toMatchObject({ success: false, code: 'BID_TOO_LOW', minimumBid: 301 });
+    expect(await auctions.placeBid(1, 301, alice)).toMatchObject({ success: true });
+  });
+
+  test('refuse proxy maximums', async () => {
+    const { auctions } = await createService({ format: 'sealed' });
+
+    const result = await auctions.placeBid(1, 150, alice, 300);
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_REQUEST', field: 'maxAmount' });
+  });
+
+  test('award the highest bid at its own price', async () => {
+    const { auctions, store } = await createService({ format: 'sealed' });
+    await auctions.placeBid(1, 200, alice);
+    await auctions.placeBid(1, 300, bob);
+    await endLot(store, 1);
+
+    const closed = await auctions.closeAuction(1);
+
+    expect(closed).toMatchObject({ winningBidderId: bob.id, winningBid: 300, currentBid: 300 });
+  });
+
+  test('charge the runner-up price with second-price pricing', async () => {
+    const { auctions, store } = await createService({ format: 'sealed', sealedPricing: 'second' });
+    await auctions.placeBid(1, 200, alice);
+    await auctions.placeBid(1, 300, bob);
+    await auctions.placeBid(1, 150, carol);
+    await endLot(store, 1);
+
+    const closed = await auctions.closeAuction(1);
+
+    expect(closed).toMatchObject({ winningBidderId: bob.id, winningBid: 200 });
+  });
+
+  test('close unsold below the reserve', async () => {
+    const { auctions, store } = await createService({ format: 'sealed', reservePrice: 500 });
+    await auctions.placeBid(1, 300, alice);
+    await endLot(store, 1);
+
+    const closed = await auctions.closeAuction(1);
+
+    expect(closed).toMatchObject({ winningBidderId: null, highestBidderId: alice.id, currentBid: 300 });
+  });
+});
+
+describe('Dutch auctions', () => {
+  const schedule = (startsAt) => ({ format: 'dutch', startingPrice: 100, currentBid: 100, dutch: { floorPrice: 40, decrement: 10, intervalMs: 60000, startsAt } });
+
+  test('drop the price on schedule down to the floor', async () => {
+    const { auctions } = await createService(schedule(Date.now() - 150000));
+    const { auctions: atFloor } = await createService(schedule(Date.now() - 60 * 60000));
+
+    const [item] = await auctions.getLiveItems([1]);
+    const [floored] = await atFloor.getLiveItems([1]);
+
+    expect(item).toMatchObject({ currentBid: 80, minimumBid: 80 });
+    expect(item.nextPriceDropAt).toBeGreaterThan(Date.now());
+    expect(floored).toMatchObject({ currentBid: 40, nextPriceDropAt: null });
+  });
+
+  test('sell to the first bidder who accepts, at the current price', async () => {
+    const { auctions } = await createService(schedule(Date.now() - 150000));
+
+    const accepted = await auctions.placeBid(1, 90, alice);
+    const late = await auctions.placeBid(1, 80, bob);
+
+    expect(accepted).toMatchObject({ success: true, closed: true });
+    expect(accepted.item).toMatchObject({ status: 'closed', winningBidderId: alice.id, winningBid: 80 });
+    expect(late).toMatchObject({ success: false, code: 'AUCTION_CLOSED' });
+  });
+
+  test("take an accept without an amount at the server's current price", async () => {
+    const { auctions } = await createService(schedule(Date.now() - 150000));
+
+    const accepted = await auctions.placeBid(1, undefined, alice, undefined, { accept: true });
+    const capped = await (await createService(schedule(Date.now()))).auctions.placeBid(1, 90, bob, undefined, { accept: true });
+
+    expect(accepted.item).toMatchObject({ status: 'closed', winningBidderId: alice.id, winningBid: 80 });
+    expect(capped).toMatchObject({ success: false, code: 'BID_TOO_LOW', minimumBid: 100 });
+  });
+
+  test('are the only format that takes an accept', async () => {
+    const { auctions } = await createService({});
+
+    const result = await auctions.placeBid(1, undefined, alice, undefined, { accept: true });
+
+    expect(result).toMatchObject({ success: false, code: 'INVALID_REQUEST', field: 'accept' });
+  });
+
+  test('refuse bids under the current price', async () => {
+    const { auctions } = await createService(schedule(Date.now()));
+
+    const result = await auctions.placeBid(1, 90, alice);
+
+    expect(result).toMatchObject({ success: false, code: 'BID_TOO_LOW', minimumBid: 100 });
+  });
+
+  test('close unsold when nobody accepts', async () => {
+    const { auctions, store } = await createService(schedule(Date.now()));
+    await endLot(store, 1);
+
+    expect(await auctions.closeAuction(1)).toMatchObject({ status: 'closed', winningBidderId: null });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Shared setup for the test suites: isolated in-memory servers on free
+ * ports, quick user creation and socket clients. Everything runs offline.
+ */
+const { io } = require('socket.io-client');
+const createApp = require('../app');
+const loadConfig = require('../config');
+const { MemoryStore } = require('../storage');
+const { signToken } = require('../auth');
+
+// Abuse limits, soft close and ending-soon alerts off unless a test turns them on
+const TEST_ENV = {
+  BID_RATE_LIMIT_PER_IP: '0',
+  BID_RATE_LIMIT_PER_USER: '0',
+  MAX_CONNECTIONS_PER_IP: '0',
+  SOFT_CLOSE_WINDOW_SECONDS: '0',
+  ENDING_SOON_SECONDS: '0'
+};
+
+/**
+ * Small catalogue: two open lots and one whose end time has passed.
+ */
+function createTestItems() {
+  const now = Date.now();
+  const base = { highestBidderId: null, highestBidder: null, status: 'open', image: 'https://example.com/item.jpg' };
+
+  return [
+    { ...base, id: 1, title: 'Test Camera', startingPrice: 100, currentBid: 100, auctionEndsAt: now + 600000, category: 'Electronics', tags: ['film'], description: 'A rangefinder' },
+    { ...base, id: 2, title: 'Test Painting', startingPrice: 500, currentBid: 500, auctionEndsAt: now + 300000, category: 'Art', tags: ['oil'], description: 'A landscape' },
+    { ...base, id: 3, title: 'Ended Lot', startingPrice: 50, currentBid: 50, auctionEndsAt: now - 1000, category: 'Art', tags: [], description: '' }
+  ];
+}
+
+/**
+ * Starts an app on a free port with a fresh in-memory store.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra config variables
+ * @param {Function} [options.seed] - Catalogue to seed
+ * @returns {Promise<Object>} { baseUrl, store, auctions, settlement, payments, createUser, connect, stop }
+ */
+async function startTestServer({ env = {}, seed = createTestItems } = {}) {
+  const store = new MemoryStore();
+  const server = createApp({ config: loadConfig({ ...TEST_ENV, ...env }), store, seed });
+  const port = await server.start(0);
+  const baseUrl = `http://localhost:${port}`;
+  const sockets = [];
+
+  /**
+   * Creates an account directly in the store (skipping password hashing).
+   *
+   * @returns {Promise<{ user: Object, token: string }>}
+   */
+  async function createUser(name = 'bidder') {
+    const user = await store.createUser({ username: `${name}_${sockets.length}_${Math.random().toString(36).slice(2, 8)}` });
+    return { user, token: signToken(user) };
+  }
+
+  /**
+   * Opens a socket and resolves with it and its first state payload:
+   * initialState for a fresh client, resync for one resuming with `lastSeen`.
+   *
+   * @param {string} [token] - Session token; omit for a read-only visitor
+   * @param {Object} [options]
+   * @param {Object} [options.lastSeen] - Item id -> version, to resume
+   */
+  async function connect(token, { lastSeen } = {}) {
+    const socket = io(baseUrl, {
+      auth: { ...(token ? { token } : {}), ...(lastSeen ? { lastSeen } : {}) },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    sockets.push(socket);
+
+    const stateEvent = lastSeen ? 'resync' : 'initialState';
+    const state = await new Promise((resolve, reject) => {
+      socket.once('connect_error', reject);
+      socket.once(stateEvent, resolve);
+    });
+    return { socket, [stateEvent]: state };
+  }
+
+  async function stop() {
+    sockets.forEach(socket => socket.disconnect());
+    await server.stop();
+  }
+
+  return { baseUrl, store, auctions: server.auctions, settlement: server.settlement, payments: server.payments, createUser, connect, stop };
+}
+
+/**
+ * Resolves with the next payload of `event` on `socket`.
+ */
+function nextEvent(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+/**
+ * Emits placeBid and resolves with whichever answer comes back first.
+ *
+ * @returns {Promise<{ event: string, data: Object }>}
+ */
+function emitBid(socket, payload) {
+  return new Promise((resolve) => {
+    const answer = event => (data) => {
+      socket.off('bidSuccess', onSuccess);
+      socket.off('bidError', onError);
+      socket.off('rateLimited', onLimited);
+      resolve({ event, data });
+    };
+    const onSuccess = answer('bidSuccess');
+    const onError = answer('bidError');
+    const onLimited = answer('rateLimited');
+
+    socket.on('bidSuccess', onSuccess);
+    socket.on('bidError', onError);
+    socket.on('rateLimited', onLimited);
+    socket.emit('placeBid', payload);
+  });
+}
+
+async function request(baseUrl, method, route, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+module.exports = { TEST_ENV, createTestItems, startTestServer, nextEvent, emitBid, request };
@@ -0,0 +1,158 @@
+const { startTestServer, request } = require('./helpers');
+
+describe('acknowledged, idempotent bids', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('a placeBid with an ack callback is answered through the ack', async () => {
+    const { token, user } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+    const strayEvents = [];
+    socket.on('bidSuccess', data => strayEvents.push(data));
+
+    const reply = await socket.timeout(2000).emitWithAck('placeBid', { itemId: 1, amount: 100 });
+
+    expect(reply).toEqual({
+      success: true,
+      item: expect.objectContaining({ id: 1, currentBid: 100, highestBidderId: user.id }),
+      outbidByProxy: false,
+      closed: false,
+      replayed: false
+    });
+    expect(strayEvents).toEqual([]);
+  });
+
+  test('failures come back through the ack too', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+
+    const reply = await socket.timeout(2000).emitWithAck('placeBid', { itemId: 1, amount: 1 });
+
+    expect(reply).toMatchObject({ success: false, code: 'BID_TOO_LOW', minimumBid: 100 });
+  });
+
+  test('a retried socket bid with the same key is placed once', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+    const bid = { itemId: 1, amount: 100, idempotencyKey: 'attempt-1' };
+
+    const [first, retry] = await Promise.all([
+      socket.timeout(2000).emitWithAck('placeBid', bid),
+      socket.timeout(2000).emitWithAck('placeBid', bid)
+    ]);
+    const late = await socket.timeout(2000).emitWithAck('placeBid', bid);
+
+    expect(first).toMatchObject({ success: true, replayed: false });
+    expect(retry).toMatchObject({ success: true, replayed: true, item: { currentBid: 100 } });
+    expect(late).toMatchObject({ success: true, replayed: true });
+    expect(await server.store.getBids(1, { limit: 10 })).toHaveLength(1);
+  });
+
+  test('a bid whose announcement fails still replays its success', async () => {
+    const alice = await server.createUser('alice');
+    const bob = await server.createUser('bob');
+    const getBidderItemIds = server.store.getBidderItemIds.bind(server.store);
+    server.store.getBidderItemIds = async () => {
+      server.store.getBidderItemIds = getBidderItemIds;
+      throw new Error('store down');
+    };
+
+    const first = await postWithKey(server.baseUrl, { token: alice.token, body: { itemId: 1, amount: 100 } }, 'attempt-1');
+    await request(server.baseUrl, 'POST', '/api/bid', { token: bob.token, body: { itemId: 1, amount: 200 } });
+    const retry = await postWithKey(server.baseUrl, { token: alice.token, body: { itemId: 1, amount: 100 } }, 'attempt-1');
+
+    expect(first).toMatchObject({ status: 200, body: { success: true } });
+    expect(retry).toMatchObject({ status: 200, body: { success: true, replayed: true, item: { currentBid: 100 } } });
+  });
+
+  test('a repeated Idempotency-Key on POST /api/bid replays the first outcome', async () => {
+    const { token } = await server.createUser('rest');
+    const headers = { token, body: { itemId: 2, amount: 500 } };
+
+    const first = await postWithKey(server.baseUrl, headers, 'rest-key');
+    const second = await postWithKey(server.baseUrl, headers, 'rest-key');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ success: true, replayed: true });
+    expect(await server.store.getBids(2, { limit: 10 })).toHaveLength(1);
+  });
+
+  test('a key reused for a different bid is refused', async () => {
+    const { token } = await server.createUser('rest');
+
+    await postWithKey(server.baseUrl, { token, body: { itemId: 2, amount: 500 } }, 'reused-key');
+    const { status, body } = await postWithKey(server.baseUrl, { token, body: { itemId: 2, amount: 900 } }, 'reused-key');
+
+    expect(status).toBe(422);
+    expect(body).toMatchObject({ success: false, code: 'IDEMPOTENCY_KEY_REUSED', itemId: 2 });
+    expect((await server.store.getItem(2)).currentBid).toBe(500);
+  });
+
+  test('a key reused mid-flight for a different bid is refused', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+
+    const [first, other] = await Promise.all([
+      socket.timeout(2000).emitWithAck('placeBid', { itemId: 1, amount: 100, idempotencyKey: 'attempt-1' }),
+      socket.timeout(2000).emitWithAck('placeBid', { itemId: 2, amount: 500, idempotencyKey: 'attempt-1' })
+    ]);
+
+    expect(first).toMatchObject({ success: true });
+    expect(other).toMatchObject({ success: false, code: 'IDEMPOTENCY_KEY_REUSED' });
+    expect(await server.store.getBids(2)).toEqual([]);
+  });
+
+  test('keys are scoped per user', async () => {
+    const alice = await server.createUser('alice');
+    const bob = await server.createUser('bob');
+
+    await postWithKey(server.baseUrl, { token: alice.token, body: { itemId: 1, amount: 100 } }, 'same-key');
+    const { body } = await postWithKey(server.baseUrl, { token: bob.token, body: { itemId: 1, amount: 600 } }, 'same-key');
+
+    expect(body).toMatchObject({ success: true });
+    expect(body.replayed).toBeUndefined();
+  });
+
+  test('a malformed key is rejected', async () => {
+    const { token } = await server.createUser('rest');
+
+    const { status, body } = await postWithKey(server.baseUrl, { token, body: { itemId: 1, amount: 100 } }, 'not a valid key!');
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ code: 'INVALID_REQUEST', field: 'idempotencyKey' });
+  });
+});
+
+async function postWithKey(baseUrl, { token, body }, key) {
+  const response = await fetch(`${baseUrl}/api/bid`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'Idempotency-Key': key },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('idempotency and retryable outcomes', () => {
+  test('a rate-limited attempt does not burn its key', async () => {
+    const server = await startTestServer({ env: { BID_RATE_LIMIT_PER_USER: '1', BID_RATE_WINDOW_SECONDS: '1' } });
+    const { token } = await server.createUser('eager');
+
+    await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+    const limited = await postWithKey(server.baseUrl, { token, body: { itemId: 2, amount: 500 } }, 'retry-me');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const retried = await postWithKey(server.baseUrl, { token, body: { itemId: 2, amount: 500 } }, 'retry-me');
+    await server.stop();
+
+    expect(limited.status).toBe(429);
+    expect(retried.status).toBe(200);
+    expect(retried.body.replayed).toBeUndefined();
+  });
+});
@@ -0,0 +1,139 @@
+const createAuctionService = require('../auctionService');
+const createItemLock = require('../itemLock');
+const { MemoryStore } = require('../storage');
+const { createTestItems } = require('./helpers');
+
+const alice = { id: 'user-alice', username: 'alice' };
+const bob = { id: 'user-bob', username: 'bob' };
+
+async function createService({ softClose = { windowMs: 0, extensionMs: 0 } } = {}) {
+  const store = new MemoryStore();
+  await store.init(createTestItems);
+  const auctions = createAuctionService({ store, withItemLock: createItemLock(), softClose });
+  return { store, auctions };
+}
+
+describe('placeBid', () => {
+  test('accepts an opening bid at the starting price', async () => {
+    const { auctions, store } = await createService();
+
+    const result = await auctions.placeBid(1, 100, alice);
+
+    expect(result.success).toBe(true);
+    expect(result.item).toMatchObject({ currentBid: 100, highestBidderId: alice.id, highestBidder: 'alice' });
+    expect(await store.getBids(1, { limit: 10 })).toHaveLength(1);
+  });
+
+  test('rejects a bid below the minimum and reports the minimum', async () => {
+    const { auctions } = await createService();
+    await auctions.placeBid(1, 100, alice);
+
+    const result = await auctions.placeBid(1, 300, bob);
+
+    expect(result).toMatchObject({ success: false, code: 'BID_TOO_LOW', itemId: 1, minimumBid: 600 });
+  });
+
+  test('states the minimum in the lot\'s currency', async () => {
+    const { auctions, store } = await createService();
+    const item = await store.getItem(2);
+    await store.saveItem({ ...item, currency: 'JPY' });
+
+    const result = await auctions.placeBid(2, 400, alice);
+
+    expect(result).toMatchObject({ code: 'BID_TOO_LOW', minimumBid: 500, error: 'Bid must be at least ¥500' });
+  });
+
+  test('rejects unknown and cancelled lots as ITEM_NOT_FOUND', async () => {
+    const { auctions, store } = await createService();
+    const item = await store.getItem(2);
+    await store.saveItem({ ...item, status: 'cancelled' });
+
+    expect(await auctions.placeBid(99, 100, alice)).toMatchObject({ code: 'ITEM_NOT_FOUND' });
+    expect(await auctions.placeBid(2, 500, alice)).toMatchObject({ code: 'ITEM_NOT_FOUND' });
+  });
+
+  test('rejects bids on a lot past its end time', async () => {
+    const { auctions } = await createService();
+
+    expect(await auctions.placeBid(3, 50, alice)).toMatchObject({ code: 'AUCTION_CLOSED' });
+  });
+
+  describe('consecutive bids', () => {
+    test('denies the current leader a second bid', async () => {
+      const { auctions } = await createService();
+      await auctions.placeBid(1, 100, alice);
+
+      const result = await auctions.placeBid(1, 200, alice);
+
+      expect(result).toMatchObject({ success: false, code: 'SELF_OUTBID' });
+    });
+
+    test('denies a second bid queued behind the first', async () => {
+      const { auctions } = await createService();
+
+      const [first, second] = await Promise.all([
+        auctions.placeBid(1, 100, alice),
+        auctions.placeBid(1, 200, alice)
+      ]);
+
+      expect(first.success).toBe(true);
+      expect(second).toMatchObject({ code: 'SELF_OUTBID' });
+    });
+
+    test('lets the leader bid again once outbid', async () => {
+      const { auctions } = await createService();
+      await auctions.placeBid(1, 100, alice);
+      await auctions.placeBid(1, 600, bob);
+
+      const result = await auctions.placeBid(1, 1100, alice);
+
+      expect(result.success).toBe(true);
+      expect(result.previousLeaderId).toBe(bob.id);
+    });
+  });
+
+  test('accepts exactly one of many simultaneous equal bids', async () => {
+    const { auctions, store } = await createService();
+    const bidders = Array.from({ length: 25 }, (_, i) => ({ id: `user-${i}`, username: `bidder${i}` }));
+
+    const results = await Promise.all(bidders.map(bidder => auctions.placeBid(1, 100, bidder)));
+
+    const winners = results.filter(result => result.success);
+    expect(winners).toHaveLength(1);
+    expect(results.filter(result => result.code === 'BID_TOO_LOW')).toHaveLength(24);
+
+    const item = await store.getItem(1);
+    expect(item.highestBidderId).toBe(winners[0].item.highestBidderId);
+    expect(await store.getBids(1, { limit: 100 })).toHaveLength(1);
+  });
+
+  test('extends the end time for a bid inside the soft-close window', async () => {
+    const { auctions, store } = await createService({ softClose: { windowMs: 60000, extensionMs: 30000 } });
+    const item = await store.getItem(1);
+    const endsAt = Date.now() + 10000;
+    await store.saveItem({ ...item, auctionEndsAt: endsAt });
+
+    const result = await auctions.placeBid(1, 100, alice);
+
+    expect(result.item.auctionEndsAt).toBe(endsAt + 30000);
+  });
+});
+
+describe('closeAuction', () => {
+  test('closes an ended lot and records the winner', async () => {
+    const { auctions, store } = await createService();
+    await auctions.placeBid(1, 100, alice);
+    const item = await store.getItem(1);
+    await store.saveItem({ ...item, auctionEndsAt: Date.now() - 1 });
+
+    const closed = await auctions.closeAuction(1);
+
+    expect(closed).toMatchObject({ status: 'closed', winningBidderId: alice.id, winningBid: 100 });
+  });
+
+  test('leaves a lot that is still running alone', async () => {
+    const { auctions } = await createService();
+
+    expect(await auctions.closeAuction(1)).toBeNull();
+  });
+});
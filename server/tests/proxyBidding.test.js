@@ -0,0 +1,69 @@
+const { resolveProxyBid } = require('../proxyBidding');
+
+const alice = { bidderId: 'user-alice', bidderName: 'alice' };
+const bob = { bidderId: 'user-bob', bidderName: 'bob' };
+
+/**
+ * Lot led by alice at `currentBid` with a proxy ceiling of `maxAmount`
+ * (default bands: 500 increments below 10000).
+ */
+function ledByAlice(currentBid, maxAmount) {
+  return {
+    currentBid,
+    highestBidderId: alice.bidderId,
+    highestBidder: alice.bidderName,
+    proxy: { bidderId: alice.bidderId, maxAmount }
+  };
+}
+
+describe('resolveProxyBid', () => {
+  test('a challenger below the ceiling is answered by the proxy', () => {
+    const result = resolveProxyBid(ledByAlice(100, 2000), { ...bob, amount: 600 });
+
+    expect(result).toMatchObject({
+      currentBid: 1100,
+      highestBidderId: alice.bidderId,
+      proxy: { bidderId: alice.bidderId, maxAmount: 2000 },
+      outbidByProxy: true
+    });
+    expect(result.bids).toEqual([
+      { ...bob, amount: 600, auto: false },
+      { ...alice, amount: 1100, auto: true }
+    ]);
+  });
+
+  test('a challenger above the ceiling takes the lead one increment over it', () => {
+    const result = resolveProxyBid(ledByAlice(100, 2000), { ...bob, amount: 600, maxAmount: 5000 });
+
+    expect(result).toMatchObject({
+      currentBid: 2500,
+      highestBidderId: bob.bidderId,
+      proxy: { bidderId: bob.bidderId, maxAmount: 5000 },
+      outbidByProxy: false
+    });
+    // Logged in the order it happened: the bid, the defence, the answer
+    expect(result.bids).toEqual([
+      { ...bob, amount: 600, auto: false },
+      { ...alice, amount: 2000, auto: true },
+      { ...bob, amount: 2500, auto: true }
+    ]);
+  });
+
+  test('equal ceilings go to the earlier bidder', () => {
+    const result = resolveProxyBid(ledByAlice(100, 2000), { ...bob, amount: 600, maxAmount: 2000 });
+
+    expect(result).toMatchObject({ currentBid: 2000, highestBidderId: alice.bidderId, proxy: null, outbidByProxy: true });
+    expect(result.bids).toEqual([
+      { ...bob, amount: 600, auto: false },
+      { ...bob, amount: 2000, auto: true },
+      { ...alice, amount: 2000, auto: true }
+    ]);
+  });
+
+  test("the new price never goes past the winner's own ceiling", () => {
+    const result = resolveProxyBid(ledByAlice(100, 2000), { ...bob, amount: 600, maxAmount: 2200 });
+
+    expect(result).toMatchObject({ currentBid: 2200, highestBidderId: bob.bidderId, proxy: null });
+    expect(result.bids.map(bid => bid.amount)).toEqual([600, 2000, 2200]);
+  });
+});
@@ -0,0 +1,14 @@
+const { createRedisLock, LockTimeoutError } = require('../redisLock');
+
+describe('redis lock', () => {
+  test('gives up with a LockTimeoutError while another process holds the lock', async () => {
+    // Every SET NX fails, as if another instance never lets go
+    const redis = { defineCommand: () => {}, set: async () => null };
+    const task = jest.fn();
+
+    const attempt = createRedisLock(redis, { retryMs: 1, timeoutMs: 20 }).withLock('auction:lock:item:1', task);
+
+    await expect(attempt).rejects.toBeInstanceOf(LockTimeoutError);
+    expect(task).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,208 @@
+const { startTestServer, request } = require('./helpers');
+
+describe('REST routes', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  describe('GET /api/auctions', () => {
+    test('lists visible items in public form', async () => {
+      const { status, body } = await request(server.baseUrl, 'GET', '/api/auctions');
+
+      expect(status).toBe(200);
+      expect(body.items).toHaveLength(3);
+      expect(body.items[0]).toMatchObject({ id: 1, minimumBid: 100 });
+      expect(body.items[0]).not.toHaveProperty('proxy');
+    });
+
+    test('hides cancelled lots', async () => {
+      const item = await server.store.getItem(2);
+      await server.store.saveItem({ ...item, status: 'cancelled' });
+
+      const { body } = await request(server.baseUrl, 'GET', '/api/auctions');
+
+      expect(body.items.map(each => each.id)).toEqual([1, 3]);
+    });
+
+    test('is also served at /items', async () => {
+      const { body } = await request(server.baseUrl, 'GET', '/items');
+
+      expect(body.items).toHaveLength(3);
+    });
+
+    test('filters, sorts and reports facets from query parameters', async () => {
+      const { status, body } = await request(server.baseUrl, 'GET', '/api/auctions?category=Art&sort=price_desc&limit=1');
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ total: 2, page: 1, limit: 1, categories: ['Art', 'Electronics'] });
+      expect(body.items.map(each => each.id)).toEqual([2]);
+      expect(body.items[0]).toMatchObject({ category: 'Art', tags: ['oil'] });
+    });
+
+    test('rejects invalid query parameters', async () => {
+      const { status, body } = await request(server.baseUrl, 'GET', '/api/auctions?sort=cheapest');
+
+      expect(status).toBe(400);
+      expect(body.error).toMatch('sort');
+    });
+  });
+
+  describe('GET /api/auctions/:id', () => {
+    test('returns one lot with its latest bids', async () => {
+      const { user } = await server.createUser('bidder');
+      await server.auctions.placeBid(1, 100, user);
+
+      const { status, body } = await request(server.baseUrl, 'GET', '/api/auctions/1');
+
+      expect(status).toBe(200);
+      expect(body.item).toMatchObject({ id: 1, title: 'Test Camera', currentBid: 100, recentBids: [{ seq: 1, amount: 100 }] });
+      expect(body.item).not.toHaveProperty('proxy');
+    });
+
+    test('404s for unknown and cancelled lots', async () => {
+      const item = await server.store.getItem(2);
+      await server.store.saveItem({ ...item, status: 'cancelled' });
+
+      const unknown = await request(server.baseUrl, 'GET', '/api/auctions/99');
+      const cancelled = await request(server.baseUrl, 'GET', '/api/auctions/2');
+
+      expect(unknown.status).toBe(404);
+      expect(cancelled.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/auctions/:id/bids', () => {
+    test('pages through history newest first', async () => {
+      const bidders = await Promise.all([1, 2, 3].map(i => server.createUser(`pager${i}`)));
+      for (const [i, { user }] of bidders.entries()) {
+        await server.auctions.placeBid(1, 100 + i * 500, user);
+      }
+
+      const first = await request(server.baseUrl, 'GET', '/api/auctions/1/bids?limit=2');
+      expect(first.body.bids.map(bid => bid.seq)).toEqual([3, 2]);
+      expect(first.body.nextCursor).toBe(2);
+
+      const second = await request(server.baseUrl, 'GET', `/api/auctions/1/bids?limit=2&before=${first.body.nextCursor}`);
+      expect(second.body.bids.map(bid => bid.seq)).toEqual([1]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('404s for an unknown lot', async () => {
+      const { status } = await request(server.baseUrl, 'GET', '/api/auctions/99/bids');
+
+      expect(status).toBe(404);
+    });
+  });
+
+  describe('POST /api/bid', () => {
+    test('requires a session', async () => {
+      const { status, body } = await request(server.baseUrl, 'POST', '/api/bid', { body: { itemId: 1, amount: 100 } });
+
+      expect(status).toBe(401);
+      expect(body.code).toBe('UNAUTHENTICATED');
+    });
+
+    test('places a bid', async () => {
+      const { token, user } = await server.createUser('rest');
+
+      const { status, body } = await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, item: { id: 1, currentBid: 100, highestBidderId: user.id } });
+    });
+
+    test.each([
+      [400, 'INVALID_REQUEST', { itemId: '1', amount: 100 }],
+      [404, 'ITEM_NOT_FOUND', { itemId: 99, amount: 100 }],
+      [409, 'AUCTION_CLOSED', { itemId: 3, amount: 50 }],
+      [422, 'BID_TOO_LOW', { itemId: 1, amount: 10 }],
+      [422, 'MAX_BELOW_BID', { itemId: 1, amount: 100, maxAmount: 50 }]
+    ])('answers %i %s', async (expectedStatus, code, payload) => {
+      const { token } = await server.createUser('rest');
+
+      const { status, body } = await request(server.baseUrl, 'POST', '/api/bid', { token, body: payload });
+
+      expect(status).toBe(expectedStatus);
+      expect(body).toMatchObject({ success: false, code });
+    });
+
+    test('answers 400 INVALID_REQUEST to a body that is not JSON', async () => {
+      const { token } = await server.createUser('rest');
+
+      const response = await fetch(`${server.baseUrl}/api/bid`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: '{"itemId": 1, "amount":'
+      });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ success: false, code: 'INVALID_REQUEST', error: 'Request body is not valid JSON' });
+    });
+
+    test('answers 500 INTERNAL when the store fails', async () => {
+      const { token } = await server.createUser('rest');
+      server.store.getItem = async () => {
+        throw new Error('disk full');
+      };
+
+      const { status, body } = await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+
+      expect(status).toBe(500);
+      expect(body).toMatchObject({ success: false, code: 'INTERNAL' });
+    });
+
+    test('denies the leader a consecutive bid', async () => {
+      const { token } = await server.createUser('rest');
+      await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+
+      const { status, body } = await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 200 } });
+
+      expect(status).toBe(409);
+      expect(body.code).toBe('SELF_OUTBID');
+    });
+  });
+
+  describe('/api/auth', () => {
+    test('registers, logs in and resolves the session', async () => {
+      const credentials = { username: 'carol', password: 'correct-horse' };
+
+      const registered = await request(server.baseUrl, 'POST', '/api/auth/register', { body: credentials });
+      expect(registered.status).toBe(201);
+
+      const login = await request(server.baseUrl, 'POST', '/api/auth/login', { body: credentials });
+      expect(login.status).toBe(200);
+
+      const me = await request(server.baseUrl, 'GET', '/api/auth/me', { token: login.body.token });
+      expect(me.body.user).toEqual({ id: registered.body.user.id, username: 'carol' });
+    });
+
+    test('rejects a wrong password', async () => {
+      await request(server.baseUrl, 'POST', '/api/auth/register', { body: { username: 'dave', password: 'correct-horse' } });
+
+      const { status } = await request(server.baseUrl, 'POST', '/api/auth/login', { body: { username: 'dave', password: 'wrong-horse' } });
+
+      expect(status).toBe(401);
+    });
+  });
+});
+
+describe('REST rate limits', () => {
+  test('throttled bids get 429 with Retry-After', async () => {
+    const server = await startTestServer({ env: { BID_RATE_LIMIT_PER_USER: '1' } });
+    const { token } = await server.createUser('eager');
+
+    await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 100 } });
+    const { status, headers, body } = await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 2, amount: 500 } });
+    await server.stop();
+
+    expect(status).toBe(429);
+    expect(body.code).toBe('RATE_LIMITED');
+    expect(Number(headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+});
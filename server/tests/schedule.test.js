@@ -0,0 +1,117 @@
+const createAuctionService = require('../auctionService');
+const createItemLock = require('../itemLock');
+const startAuctionScheduler = require('../auctionScheduler');
+const { MemoryStore } = require('../storage');
+const { createTestItems, startTestServer, nextEvent } = require('./helpers');
+
+const alice = { id: 'user-alice', username: 'alice' };
+
+/**
+ * A service seeded with the test catalogue, with per-lot field overrides.
+ */
+async function createService(overrides = {}) {
+  const store = new MemoryStore();
+  await store.init(() => createTestItems().map(item => ({ ...item, ...overrides[item.id] })));
+  const auctions = createAuctionService({ store, withItemLock: createItemLock(), softClose: { windowMs: 0, extensionMs: 0 } });
+  return { store, auctions };
+}
+
+describe('upcoming lots', () => {
+  test('refuse bids until they open', async () => {
+    const startsAt = Date.now() + 60000;
+    const { auctions } = await createService({ 1: { status: 'upcoming', auctionStartsAt: startsAt } });
+
+    const result = await auctions.placeBid(1, 100, alice);
+
+    expect(result).toMatchObject({ success: false, code: 'AUCTION_NOT_STARTED', auctionStartsAt: startsAt });
+  });
+
+  test('open at their start time', async () => {
+    const { auctions, store } = await createService({ 1: { status: 'upcoming', auctionStartsAt: Date.now() + 60000 } });
+
+    expect(await auctions.openAuction(1)).toBeNull();
+
+    const item = await store.getItem(1);
+    await store.saveItem({ ...item, auctionStartsAt: Date.now() - 1 });
+    const opened = await auctions.openAuction(1);
+
+    expect(opened).toMatchObject({ status: 'open' });
+    expect(await auctions.placeBid(1, 100, alice)).toMatchObject({ success: true });
+  });
+
+  test('open a sequenced lot once the one before it has closed', async () => {
+    const { auctions, store } = await createService({
+      2: { status: 'upcoming', auctionEndsAt: null, opensAfterItemId: 1, durationMs: 120000 }
+    });
+
+    expect(await auctions.openAuction(2)).toBeNull();
+
+    const first = await store.getItem(1);
+    await store.saveItem({ ...first, auctionEndsAt: Date.now() - 1 });
+    await auctions.closeAuction(1);
+    const opened = await auctions.openAuction(2);
+
+    expect(opened.status).toBe('open');
+    expect(opened.auctionEndsAt - opened.auctionStartsAt).toBe(120000);
+  });
+
+  test('restart a Dutch price schedule when they open', async () => {
+    const dutch = { floorPrice: 40, decrement: 10, intervalMs: 60000, startsAt: Date.now() - 3600000 };
+    const { auctions } = await createService({
+      1: { status: 'upcoming', auctionStartsAt: Date.now() - 1, format: 'dutch', dutch }
+    });
+
+    const [upcoming] = await auctions.getLiveItems([1]);
+    const opened = await auctions.openAuction(1);
+    const [live] = await auctions.getLiveItems([1]);
+
+    expect(upcoming).toMatchObject({ currentBid: 100, nextPriceDropAt: null });
+    expect(opened.dutch.startsAt).toBeGreaterThan(dutch.startsAt);
+    expect(live.currentBid).toBe(100);
+  });
+});
+
+describe('auction scheduler', () => {
+  test('opens a lot on time and announces it', async () => {
+    const seed = () => createTestItems().map(item => (item.id === 2
+      ? { ...item, status: 'upcoming', auctionStartsAt: Date.now() + 500 }
+      : item));
+    const server = await startTestServer({ seed });
+    const { socket, initialState } = await server.connect();
+
+    const opened = await nextEvent(socket, 'auctionOpened');
+    await server.stop();
+
+    expect(initialState.items.find(item => item.id === 2).status).toBe('upcoming');
+    expect(opened).toMatchObject({ id: 2, status: 'open' });
+  });
+
+  test('carries on past a lot that fails', async () => {
+    const ended = Date.now() - 1;
+    const { auctions, store } = await createService({
+      1: { auctionEndsAt: ended },
+      2: { auctionEndsAt: ended },
+      3: { status: 'closed', winningBidderId: 'user-alice' }
+    });
+    const settled = [];
+    const expired = [];
+    const scheduler = startAuctionScheduler({
+      store,
+      closeAuction: (itemId) => (itemId === 1 ? Promise.reject(new Error('store down')) : auctions.closeAuction(itemId)),
+      onClosed: async () => {},
+      openAuction: auctions.openAuction,
+      onOpened: () => {},
+      settleLot: async (itemId) => settled.push(itemId),
+      expireOrders: async (now) => expired.push(now),
+      intervalMs: 60000
+    });
+
+    await scheduler.sweep();
+    scheduler.stop();
+
+    expect((await store.getItem(1)).status).toBe('open');
+    expect((await store.getItem(2)).status).toBe('closed');
+    expect(settled).toEqual([3]);
+    expect(expired).toHaveLength(1);
+  });
+});
@@ -0,0 +1,213 @@
+const { computeCharges } = require('../settlement');
+const { startTestServer, createTestItems, nextEvent, request } = require('./helpers');
+
+const FEES_ENV = { BUYERS_PREMIUM_PERCENT: '10', SALES_TAX_PERCENT: '8' };
+
+describe('computeCharges', () => {
+  test('adds the premium and taxes both, in whole minor units', () => {
+    expect(computeCharges(600, { buyersPremiumPercent: 10, salesTaxPercent: 8 }))
+      .toEqual({ hammerPrice: 600, buyersPremium: 60, tax: 53, total: 713 });
+  });
+});
+
+describe('settlement', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer({ env: FEES_ENV });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Ends lot 1 now and settles it, whether or not the sweep got there first.
+   */
+  async function closeLot(itemId = 1) {
+    const item = await server.store.getItem(itemId);
+    await server.store.saveItem({ ...item, auctionEndsAt: Date.now() - 1 });
+    await server.auctions.closeAuction(itemId);
+    await server.settlement.settleLot(itemId);
+  }
+
+  async function bidAndClose() {
+    const alice = await server.createUser('alice');
+    const bob = await server.createUser('bob');
+    await server.auctions.placeBid(1, 600, alice.user);
+    await server.auctions.placeBid(1, 1100, bob.user);
+    await closeLot();
+    return { alice, bob };
+  }
+
+  test('bills the winner when a lot closes', async () => {
+    const { alice, bob } = await bidAndClose();
+
+    const won = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+    const lost = await request(server.baseUrl, 'GET', '/api/me/orders', { token: alice.token });
+
+    expect(won.body.orders).toEqual([expect.objectContaining({
+      itemId: 1,
+      itemTitle: 'Test Camera',
+      currency: 'USD',
+      hammerPrice: 1100,
+      buyersPremium: 110,
+      tax: 97,
+      total: 1307,
+      status: 'awaiting_payment',
+      secondChance: false
+    })]);
+    expect(lost.body.orders).toEqual([]);
+  });
+
+  test('creates one order per lot however often it is settled', async () => {
+    const { bob } = await bidAndClose();
+    await server.settlement.settleLot(1);
+
+    const { body } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    expect(body.orders).toHaveLength(1);
+  });
+
+  test('bills the winner of a lot closed without being settled on the next sweep', async () => {
+    const alice = await server.createUser('alice');
+    const { socket } = await server.connect(alice.token);
+    await server.auctions.placeBid(1, 600, alice.user);
+
+    const order = nextEvent(socket, 'order');
+    // Closed, but the instance that closed it never got to settle it
+    const item = await server.store.getItem(1);
+    await server.store.saveItem({ ...item, auctionEndsAt: Date.now() - 1 });
+    await server.auctions.closeAuction(1);
+
+    expect(await order).toMatchObject({ itemId: 1, hammerPrice: 600 });
+    expect(await server.store.getItem(1)).toMatchObject({ settledAt: expect.any(Number) });
+  });
+
+  test('tells the winner about the order', async () => {
+    const alice = await server.createUser('alice');
+    const { socket } = await server.connect(alice.token);
+    await server.auctions.placeBid(1, 600, alice.user);
+
+    const order = nextEvent(socket, 'order');
+    await closeLot();
+
+    expect(await order).toMatchObject({ itemId: 1, hammerPrice: 600, status: 'awaiting_payment' });
+  });
+
+  test('takes payment through the provider', async () => {
+    const { bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    const paid = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+    const again = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+
+    expect(paid.status).toBe(200);
+    expect(paid.body.order).toMatchObject({ status: 'paid', paymentId: expect.any(String) });
+    expect(again).toMatchObject({ status: 409, body: { code: 'ORDER_PAID' } });
+    expect(server.payments.charges.size).toBe(1);
+    expect([...server.payments.charges.values()][0]).toMatchObject({ amount: 1307, currency: 'USD' });
+  });
+
+  test('leaves the order open after a declined card', async () => {
+    const { bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    const declined = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_declined' } });
+    const retried = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+
+    expect(declined).toMatchObject({ status: 402, body: { code: 'PAYMENT_DECLINED' } });
+    expect(retried.body.order.status).toBe('paid');
+  });
+
+  test('charges a double-submitted payment once', async () => {
+    const { bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    const pay = () => request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+    const replies = await Promise.all([pay(), pay()]);
+
+    expect(replies.map(reply => reply.body.code)).not.toContain('INTERNAL');
+    expect(server.payments.charges.size).toBe(1);
+    expect(server.payments.refunds.size).toBe(0);
+    expect((await server.store.getOrder(order.id)).status).toBe('paid');
+  });
+
+  test('refunds a charge that completes after the order expired', async () => {
+    const { bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+    // The sweep lapses the order while the card is being charged
+    const charge = server.payments.charge.bind(server.payments);
+    server.payments.charge = async (details) => {
+      await server.settlement.expireOverdueOrders(order.dueAt);
+      return charge(details);
+    };
+
+    const reply = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+
+    expect(reply).toMatchObject({ status: 409, body: { code: 'ORDER_EXPIRED' } });
+    expect([...server.payments.refunds.values()]).toEqual([
+      { chargeId: [...server.payments.charges.values()][0].outcome.id, outcome: expect.objectContaining({ succeeded: true }) }
+    ]);
+  });
+
+  test("hides other users' orders", async () => {
+    const { alice, bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    const { status } = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: alice.token, body: { paymentToken: 'tok_visa' } });
+
+    expect(status).toBe(404);
+  });
+
+  test('requires a session', async () => {
+    const { status } = await request(server.baseUrl, 'GET', '/api/me/orders');
+
+    expect(status).toBe(401);
+  });
+
+  test('offers the lot to the runner-up when the winner does not pay', async () => {
+    const { alice, bob } = await bidAndClose();
+    const { body: { orders: [order] } } = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+
+    await server.settlement.expireOverdueOrders(order.dueAt);
+
+    const winner = await request(server.baseUrl, 'GET', '/api/me/orders', { token: bob.token });
+    const runnerUp = await request(server.baseUrl, 'GET', '/api/me/orders', { token: alice.token });
+    const late = await request(server.baseUrl, 'POST', `/api/me/orders/${order.id}/pay`, { token: bob.token, body: { paymentToken: 'tok_visa' } });
+
+    expect(winner.body.orders[0].status).toBe('expired');
+    expect(runnerUp.body.orders).toEqual([expect.objectContaining({ itemId: 1, hammerPrice: 600, secondChance: true, status: 'awaiting_payment' })]);
+    expect(late).toMatchObject({ status: 409, body: { code: 'ORDER_EXPIRED' } });
+  });
+
+  test('makes only one second-chance offer', async () => {
+    const { alice } = await bidAndClose();
+    const carol = await server.createUser('carol');
+    // A third bidder the offer could go to next if it weren't capped at one
+    await server.store.appendBid({ itemId: 1, bidderId: carol.user.id, bidderName: carol.user.username, amount: 300, placedAt: 0 });
+
+    const [order] = await server.store.getItemOrders(1);
+    await server.settlement.expireOverdueOrders(order.dueAt);
+    const [offer] = await server.settlement.getBuyerOrders(alice.user.id);
+    await server.settlement.expireOverdueOrders(offer.dueAt);
+
+    expect((await server.store.getItemOrders(1)).map(o => o.status)).toEqual(['expired', 'expired']);
+    expect(await server.store.getOverdueOrders(Infinity)).toEqual([]);
+  });
+});
+
+describe('settlement of lots won outright', () => {
+  test('bills a Buy It Now buyer straight away', async () => {
+    const server = await startTestServer({
+      seed: () => createTestItems().map(item => (item.id === 1 ? { ...item, buyNowPrice: 5000 } : item))
+    });
+    const { token } = await server.createUser('buyer');
+
+    await request(server.baseUrl, 'POST', '/api/bid', { token, body: { itemId: 1, amount: 5000, buyNow: true } });
+    const { body } = await request(server.baseUrl, 'GET', '/api/me/orders', { token });
+    await server.stop();
+
+    expect(body.orders).toEqual([expect.objectContaining({ itemId: 1, hammerPrice: 5000, total: 5000 })]);
+  });
+});
@@ -0,0 +1,278 @@
+const { startTestServer, nextEvent, emitBid } = require('./helpers');
+
+describe('socket protocol', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('initialState lists public items only', async () => {
+    const { initialState } = await server.connect();
+
+    expect(initialState.items.map(item => item.id)).toEqual([1, 2, 3]);
+    const item = initialState.items[0];
+    expect(item).toMatchObject({ id: 1, title: 'Test Camera', currentBid: 100, minimumBid: 100, hasReserve: false });
+    expect(item).toHaveProperty('bidIncrement');
+    expect(item).not.toHaveProperty('proxy');
+    expect(item).not.toHaveProperty('reservePrice');
+  });
+
+  test('read-only visitors cannot bid', async () => {
+    const { socket } = await server.connect();
+
+    const { event, data } = await emitBid(socket, { itemId: 1, amount: 100 });
+
+    expect(event).toBe('bidError');
+    expect(data).toMatchObject({ code: 'UNAUTHENTICATED', itemId: 1 });
+    expect(data).not.toHaveProperty('success');
+  });
+
+  test('the ack says when a bid won the lot outright', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+    const item = await server.store.getItem(1);
+    await server.store.saveItem({ ...item, buyNowPrice: 5000 });
+
+    const bid = await socket.timeout(2000).emitWithAck('placeBid', { itemId: 2, amount: 1000 });
+    const bought = await socket.timeout(2000).emitWithAck('placeBid', { itemId: 1, amount: 5000, buyNow: true });
+
+    expect(bid).toMatchObject({ success: true, closed: false });
+    expect(bought).toMatchObject({ success: true, closed: true, item: { status: 'closed' } });
+  });
+
+  test('a store failure is acknowledged as INTERNAL rather than left unanswered', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+    server.store.appendBid = async () => {
+      throw new Error('disk full');
+    };
+
+    const reply = await socket.timeout(2000).emitWithAck('placeBid', { itemId: 1, amount: 100 });
+
+    expect(reply).toMatchObject({ success: false, code: 'INTERNAL', itemId: 1 });
+  });
+
+  test('a bad token is rejected at the handshake', async () => {
+    await expect(server.connect('not-a-token')).rejects.toThrow('Unauthorized');
+  });
+
+  test('an accepted bid is confirmed to the bidder and summarized for everyone', async () => {
+    const { token, user } = await server.createUser('alice');
+    const { socket: bidder } = await server.connect(token);
+    const { socket: visitor } = await server.connect();
+
+    const summary = nextEvent(visitor, 'bidSummary');
+    const { event, data } = await emitBid(bidder, { itemId: 1, amount: 100 });
+
+    expect(event).toBe('bidSuccess');
+    expect(data).toMatchObject({ id: 1, currentBid: 100, highestBidderId: user.id, outbidByProxy: false });
+    expect(await summary).toEqual({
+      id: 1,
+      version: 1,
+      currentBid: 100,
+      minimumBid: 600,
+      bidIncrement: 500,
+      highestBidder: user.username,
+      highestBidderId: user.id,
+      reserveMet: true,
+      auctionEndsAt: expect.any(Number)
+    });
+  });
+
+  test('full updates go only to sockets subscribed to the lot', async () => {
+    const { token, user } = await server.createUser('alice');
+    const { socket: bidder } = await server.connect(token);
+    const { socket: viewer } = await server.connect();
+    const { socket: elsewhere } = await server.connect();
+    const strayUpdates = [];
+    elsewhere.on('bidUpdate', update => strayUpdates.push(update));
+
+    const subscribed = await viewer.timeout(2000).emitWithAck('subscribe', [1]);
+    await elsewhere.timeout(2000).emitWithAck('subscribe', [2]);
+    const update = nextEvent(viewer, 'bidUpdate');
+    await emitBid(bidder, { itemId: 1, amount: 100 });
+
+    expect(subscribed).toMatchObject({ success: true, items: [{ id: 1, recentBids: [] }] });
+    const broadcast = await update;
+    expect(broadcast).toMatchObject({ id: 1, currentBid: 100, highestBidder: user.username, minimumBid: 600 });
+    expect(broadcast.recentBids).toEqual([
+      expect.objectContaining({ seq: 1, amount: 100, bidderId: user.id, auto: false })
+    ]);
+    expect(strayUpdates).toEqual([]);
+  });
+
+  test('unsubscribing stops full updates', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket: bidder } = await server.connect(token);
+    const { socket: viewer } = await server.connect();
+    const updates = [];
+    viewer.on('bidUpdate', update => updates.push(update));
+
+    await viewer.timeout(2000).emitWithAck('subscribe', [1]);
+    viewer.emit('unsubscribe', [1]);
+    const summary = nextEvent(viewer, 'bidSummary');
+    await emitBid(bidder, { itemId: 1, amount: 100 });
+    await summary;
+
+    expect(updates).toEqual([]);
+  });
+
+  test('malformed or oversized subscriptions are refused', async () => {
+    const { socket } = await server.connect();
+
+    const malformed = await socket.timeout(2000).emitWithAck('subscribe', ['1']);
+    const oversized = await socket.timeout(2000).emitWithAck('subscribe', Array.from({ length: 101 }, (_, i) => i + 1));
+
+    expect(malformed).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+    expect(oversized).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+  });
+
+  test('the server reports its clock on connect and on every timeSync', async () => {
+    const before = Date.now();
+    const { socket, initialState } = await server.connect();
+
+    const { serverTime } = await socket.timeout(2000).emitWithAck('timeSync');
+
+    expect(initialState.serverTime).toBeGreaterThanOrEqual(before);
+    expect(serverTime).toBeGreaterThanOrEqual(initialState.serverTime);
+    expect(serverTime).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('the bidder learns which lots they are in', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+
+    const state = nextEvent(socket, 'bidderState');
+    await emitBid(socket, { itemId: 2, amount: 500 });
+
+    expect(await state).toEqual({ itemIds: [2] });
+  });
+
+  test('consecutive bids from the leader are denied', async () => {
+    const { token } = await server.createUser('alice');
+    const { socket } = await server.connect(token);
+
+    await emitBid(socket, { itemId: 1, amount: 100 });
+    const { event, data } = await emitBid(socket, { itemId: 1, amount: 150 });
+
+    expect(event).toBe('bidError');
+    expect(data.code).toBe('SELF_OUTBID');
+  });
+
+  test('the previous leader is told they were outbid', async () => {
+    const alice = await server.createUser('alice');
+    const bob = await server.createUser('bob');
+    const { socket: aliceSocket } = await server.connect(alice.token);
+    const { socket: bobSocket } = await server.connect(bob.token);
+
+    await emitBid(aliceSocket, { itemId: 1, amount: 100 });
+    const outbid = nextEvent(aliceSocket, 'outbid');
+    await emitBid(bobSocket, { itemId: 1, amount: 600 });
+
+    expect(await outbid).toEqual({ itemId: 1, title: 'Test Camera', currentBid: 600, currency: 'USD' });
+  });
+
+  test('many simultaneous clients produce exactly one winner per price', async () => {
+    const clients = await Promise.all(Array.from({ length: 20 }, async (_, i) => {
+      const { token, user } = await server.createUser(`racer${i}`);
+      const { socket } = await server.connect(token);
+      return { socket, user };
+    }));
+
+    const answers = await Promise.all(clients.map(({ socket }) => emitBid(socket, { itemId: 2, amount: 500 })));
+
+    const successes = answers.filter(answer => answer.event === 'bidSuccess');
+    expect(successes).toHaveLength(1);
+    expect(answers.filter(answer => answer.data.code === 'BID_TOO_LOW')).toHaveLength(19);
+
+    const item = await server.store.getItem(2);
+    expect(item.currentBid).toBe(500);
+    expect(item.highestBidderId).toBe(successes[0].data.highestBidderId);
+    expect(await server.store.getBids(2, { limit: 100 })).toHaveLength(1);
+  });
+});
+
+describe('reconnect resync', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  function versionsOf(items) {
+    return Object.fromEntries(items.map(item => [item.id, item.version]));
+  }
+
+  test('every item carries a version that grows with each change', async () => {
+    const { initialState } = await server.connect();
+    const { user } = await server.createUser('alice');
+
+    const { item } = await server.auctions.placeBid(1, 100, user);
+
+    expect(initialState.items[0].version).toEqual(expect.any(Number));
+    expect(item.version).toBeGreaterThan(initialState.items[0].version);
+  });
+
+  test('a resuming client gets only the lots that changed, with their latest bids', async () => {
+    const { initialState } = await server.connect();
+    const lastSeen = versionsOf(initialState.items);
+    const { user } = await server.createUser('alice');
+    await server.auctions.placeBid(2, 500, user);
+
+    const { resync } = await server.connect(undefined, { lastSeen });
+
+    expect(resync.removedIds).toEqual([]);
+    expect(resync.items).toHaveLength(1);
+    expect(resync.items[0]).toMatchObject({ id: 2, currentBid: 500, highestBidderId: user.id });
+    expect(resync.items[0].recentBids).toEqual([expect.objectContaining({ seq: 1, amount: 500 })]);
+  });
+
+  test('lots cancelled while away are reported as removed', async () => {
+    const { initialState } = await server.connect();
+    const item = await server.store.getItem(1);
+    await server.store.saveItem({ ...item, status: 'cancelled' });
+
+    const { resync } = await server.connect(undefined, { lastSeen: versionsOf(initialState.items) });
+
+    expect(resync).toEqual({ items: [], removedIds: [1], serverTime: expect.any(Number) });
+  });
+});
+
+describe('socket rate limits', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('a bidder over the limit gets rateLimited with a cooldown', async () => {
+    server = await startTestServer({ env: { BID_RATE_LIMIT_PER_USER: '2' } });
+    const { token } = await server.createUser('eager');
+    const { socket } = await server.connect(token);
+
+    await emitBid(socket, { itemId: 1, amount: 100 });
+    await emitBid(socket, { itemId: 2, amount: 500 });
+    const { event, data } = await emitBid(socket, { itemId: 1, amount: 200 });
+
+    expect(event).toBe('rateLimited');
+    expect(data).toMatchObject({ code: 'RATE_LIMITED', itemId: 1 });
+    expect(data.retryAfterMs).toBeGreaterThan(0);
+  });
+
+  test('connections over the per-IP cap are refused', async () => {
+    server = await startTestServer({ env: { MAX_CONNECTIONS_PER_IP: '2' } });
+    await server.connect();
+    await server.connect();
+
+    await expect(server.connect()).rejects.toThrow('Too many connections');
+  });
+});
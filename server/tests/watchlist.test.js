@@ -0,0 +1,78 @@
+const { startTestServer, createTestItems, nextEvent, request } = require('./helpers');
+
+describe('watchlist', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('adds, lists and removes watched lots', async () => {
+    const { token } = await server.createUser('watcher');
+
+    const added = await request(server.baseUrl, 'PUT', '/api/watchlist/2', { token });
+    await request(server.baseUrl, 'PUT', '/api/watchlist/1', { token });
+    const listed = await request(server.baseUrl, 'GET', '/api/watchlist', { token });
+    const removed = await request(server.baseUrl, 'DELETE', '/api/watchlist/2', { token });
+
+    expect(added.body).toEqual({ itemIds: [2] });
+    expect(listed.body).toEqual({ itemIds: [1, 2] });
+    expect(removed.body).toEqual({ itemIds: [1] });
+  });
+
+  test('requires a session', async () => {
+    const { status } = await request(server.baseUrl, 'GET', '/api/watchlist');
+
+    expect(status).toBe(401);
+  });
+
+  test('404s for an unknown lot', async () => {
+    const { token } = await server.createUser('watcher');
+
+    const { status } = await request(server.baseUrl, 'PUT', '/api/watchlist/99', { token });
+
+    expect(status).toBe(404);
+  });
+
+  test('keeps the list in sync across sessions', async () => {
+    const { token } = await server.createUser('watcher');
+    await request(server.baseUrl, 'PUT', '/api/watchlist/1', { token });
+
+    // The connect-time list and initialState are sent independently, so
+    // collect every list rather than rely on their order
+    const { socket } = await server.connect(token);
+    const lists = [];
+    socket.on('watchlist', ({ itemIds }) => lists.push(itemIds));
+    const update = new Promise(resolve => socket.on('watchlist', ({ itemIds }) => itemIds.length === 2 && resolve()));
+    await request(server.baseUrl, 'PUT', '/api/watchlist/2', { token });
+    await update;
+
+    expect(lists).toContainEqual([1, 2]);
+  });
+});
+
+describe('endingSoon alerts', () => {
+  test('reach only the sessions watching the lot', async () => {
+    // Lot 1 enters the one-second window about 1.5s after the server starts
+    const seed = () => createTestItems().map(item => (item.id === 1 ? { ...item, auctionEndsAt: Date.now() + 2500 } : item));
+    const server = await startTestServer({ env: { ENDING_SOON_SECONDS: '1' }, seed });
+    const watcher = await server.createUser('watcher');
+    const bystander = await server.createUser('bystander');
+    await request(server.baseUrl, 'PUT', '/api/watchlist/1', { token: watcher.token });
+
+    const { socket: watcherSocket } = await server.connect(watcher.token);
+    const { socket: bystanderSocket } = await server.connect(bystander.token);
+    const bystanderAlerts = [];
+    bystanderSocket.on('endingSoon', alert => bystanderAlerts.push(alert));
+
+    const alert = await nextEvent(watcherSocket, 'endingSoon');
+    await server.stop();
+
+    expect(alert).toMatchObject({ itemId: 1, title: 'Test Camera' });
+    expect(bystanderAlerts).toEqual([]);
+  });
+});